@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * SPZ Devpack Builder — local CORS proxy
+ * ------------------------------------------
+ * Small proxy for the web app's "CORS proxy" setting: GET /?url=<encoded asset URL> fetches the
+ * asset server-side and returns it with Access-Control-Allow-Origin: *, so assets whose servers
+ * do not allow cross-origin requests can still be packaged. Only hosts on the allowlist
+ * (cli/proxy-allowlist.json plus --allow) are proxied, redirects included, and it listens on
+ * localhost only by default. The shipped list holds exact hosts only: wildcards on shared
+ * platforms (e.g. *.cloudfront.net) would open every tenant, so add the client's own with --allow.
+ *
+ * Usage: npm run proxy -- --allow www.client-site.com,*.client-cdn.com
+ *
+ * @author   Abir Maiti
+ * @company  Spiralyze
+ * @version  1.0.0
+ */
+
+const http = require('node:http');
+const fs = require('node:fs');
+const path = require('node:path');
+const { Readable, pipeline } = require('node:stream');
+const { parseArgs } = require('node:util');
+
+const DEFAULT_ALLOWLIST = path.join(__dirname, 'proxy-allowlist.json');
+const MAX_REDIRECTS = 5;
+const UPSTREAM_TIMEOUT = 30000; // ms to wait for the upstream response headers
+
+const USAGE = `Usage: node cli/cors-proxy.js [options]
+
+Options:
+  --port <port>          Port to listen on (default: 8787)
+  --host <host>          Interface to listen on (default: 127.0.0.1)
+  --allow <hosts>        Extra allowed hosts, comma-separated; *.example.com allows subdomains
+  --allowlist <file>     JSON array of allowed hosts (default: cli/proxy-allowlist.json)
+  -h, --help             Show this help`;
+
+const { values } = parseArgs({
+    options: {
+        port: { type: 'string', default: '8787' },
+        host: { type: 'string', default: '127.0.0.1' },
+        allow: { type: 'string', multiple: true, default: [] },
+        allowlist: { type: 'string', default: DEFAULT_ALLOWLIST },
+        help: { type: 'boolean', short: 'h', default: false }
+    }
+});
+
+if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+const allowlist = [
+    ...JSON.parse(fs.readFileSync(values.allowlist, 'utf8')),
+    ...values.allow.flatMap(hosts => hosts.split(','))
+].map(host => host.trim().toLowerCase()).filter(Boolean);
+
+const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(err => {
+        if (!res.headersSent) sendError(res, 502, err.name === 'TimeoutError' ? 'Upstream timed out' : err.message);
+        else res.destroy(err);
+    });
+});
+
+server.listen(Number(values.port), values.host, () => {
+    console.log(`CORS proxy listening on http://${values.host}:${values.port}/?url={url}`);
+    console.log(`Allowed hosts: ${allowlist.join(', ') || '(none)'}`);
+});
+
+/**
+ * Proxies one asset request: GET or HEAD /?url=<encoded URL>, following allowlisted redirects.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handleRequest(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, { 'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS' });
+        res.end();
+        return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendError(res, 405, 'Only GET and HEAD are proxied');
+        return;
+    }
+
+    let url = new URL(req.url, 'http://localhost').searchParams.get('url') || '';
+    if (!/^https?:\/\//i.test(url)) {
+        sendError(res, 400, 'Pass the asset as ?url=<encoded http(s) URL>');
+        return;
+    }
+
+    for (let redirects = 0; ; redirects++) {
+        const { hostname } = new URL(url);
+        if (!isAllowedHost(hostname)) {
+            sendError(res, 403, `Host not on the allowlist: ${hostname}`);
+            log(403, url);
+            return;
+        }
+
+        // The timeout covers the wait for the headers only, so long bodies can keep streaming
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(new DOMException('Upstream timed out', 'TimeoutError')), UPSTREAM_TIMEOUT);
+        const upstream = await fetch(url, {
+            method: req.method,
+            redirect: 'manual',
+            signal: controller.signal,
+            // Font APIs (e.g. Google Fonts) serve different CSS per browser, so pass the browser's along
+            headers: {
+                'User-Agent': req.headers['user-agent'] || 'SPZ Devpack Builder',
+                Accept: req.headers.accept || '*/*'
+            }
+        }).finally(() => clearTimeout(timer));
+
+        const location = upstream.headers.get('location');
+        if (upstream.status >= 300 && upstream.status < 400 && location) {
+            // Release the socket now rather than when the unread body is garbage collected
+            if (upstream.body) await upstream.body.cancel();
+            if (redirects >= MAX_REDIRECTS) {
+                sendError(res, 508, 'Too many redirects');
+                return;
+            }
+            url = new URL(location, url).href;
+            continue;
+        }
+
+        res.writeHead(upstream.status, {
+            'Content-Type': upstream.headers.get('content-type') || 'application/octet-stream',
+            'Cache-Control': 'no-store',
+            ...(upstream.headers.has('retry-after') ? { 'Retry-After': upstream.headers.get('retry-after') } : {})
+        });
+        log(upstream.status, url);
+
+        if (req.method === 'HEAD' || !upstream.body) {
+            res.end();
+        } else {
+            // An upstream that drops mid-body ends this response only, not the proxy
+            pipeline(Readable.fromWeb(upstream.body), res, (err) => {
+                if (err) res.destroy(err);
+            });
+        }
+        return;
+    }
+}
+
+/**
+ * Whether a host is on the allowlist; "*.example.com" matches example.com and its subdomains.
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+function isAllowedHost(hostname) {
+    const host = hostname.toLowerCase();
+    return allowlist.some(entry => entry.startsWith('*.')
+        ? host === entry.slice(2) || host.endsWith(entry.slice(1))
+        : host === entry);
+}
+
+/**
+ * Answers with a plain-text error.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {string} message
+ */
+function sendError(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(message);
+}
+
+/**
+ * Logs a proxied request.
+ * @param {number} status
+ * @param {string} url
+ */
+function log(status, url) {
+    console.log(`${new Date().toISOString()} ${status} ${url}`);
+}
@@ -0,0 +1,378 @@
+#!/usr/bin/env node
+/**
+ * SPZ Devpack Builder — command line
+ * ------------------------------------------
+ * Builds a devpack from scripts or CI with the same core as the web app (js/core.js):
+ * extracts asset URLs from the given files, downloads them (no CORS in Node, so hotlink-blocked
+ * assets come through too), and writes the ZIP with the same filters and output layout.
+ *
+ * Usage: devpack build --name 1017-Test src/*.js src/*.css --out dist/
+ *
+ * @author   Abir Maiti
+ * @company  Spiralyze
+ * @version  1.0.0
+ */
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const JSZip = require('jszip');
+const {
+    APP_NAME,
+    APP_VERSION,
+    LAYOUT_PRESETS,
+    AUDIT_BUDGETS,
+    extractAssetsFromFiles,
+    validateAndFetchAssets,
+    isFontCssUrl,
+    assignPackagedNames,
+    packageDevpack,
+    auditAssets,
+    sanitizeFileName,
+    sanitizeFilePath,
+    formatBytes
+} = require('../js/core.js');
+
+const ASSET_TYPES = ['js', 'css', 'images', 'fonts', 'videos', 'gifs'];
+
+// Same defaults as the web app's filters and download settings
+const DEFAULT_INCLUDE = ['js', 'css', 'images'];
+
+// Font stylesheet APIs pick the font format by User-Agent: ask for what a current browser gets (WOFF2)
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+const USAGE = `Usage: devpack build --name <name> [options] <files...>
+
+Options:
+  --name <name>          Devpack (test) name, letters, numbers and hyphens (required)
+  --number <number>      Test number, for layouts that use {number}
+  --out <dir>            Folder the ZIP is written to (default: current folder)
+  --root <dir>           Folder the source paths are kept relative to, like an uploaded
+                         folder (default: current folder)
+  --variations <names>   Variation folders under the root, comma-separated (e.g. control,v1)
+  --layout <preset>      ${Object.keys(LAYOUT_PRESETS).join(' | ')} (default: default)
+  --include <types>      Asset types to package, comma-separated: ${ASSET_TYPES.join(',')}
+                         (default: ${DEFAULT_INCLUDE.join(',')})
+  --depth <n>            Dependency levels followed inside fetched CSS/JS (default: 2)
+  --base-url <url>       Site base URL that relative asset paths resolve against
+  --concurrency <n>      Parallel downloads (default: 6)
+  --timeout <seconds>    Per-request timeout (default: 20)
+  --retries <n>          Retries for rate limits, server errors and timeouts (default: 2)
+  --inline-svg           Also extract inline <svg> elements from HTML
+  --no-extract-inline    Leave data: URIs in the files instead of extracting them
+  --no-localize          Keep the remote asset URLs in the packaged files
+  --no-replace-inline    Keep extracted data: URIs inline in the packaged files
+  --fail-on-missing      Exit with code 1 when any asset could not be downloaded
+  --budget <type=KB>     Audit size budget, comma-separated, per type or total
+                         (default: ${Object.entries(AUDIT_BUDGETS).map(([type, kb]) => `${type}=${kb}`).join(',')})
+  --block-on-audit       Write no ZIP (exit code 1) when the audit reports errors
+  --bundle               Also write bundle.js: the CSS and JS in one injectable script
+  --asset-base-url <url> URL the devpack folder is hosted at, for the assets in bundle.js
+                         (default: keep the original asset URLs)
+  --minify               Minify bundle.js
+  -h, --help             Show this help
+  -v, --version          Show the version`;
+
+const OPTIONS = {
+    name: { type: 'string' },
+    number: { type: 'string', default: '' },
+    out: { type: 'string', default: '.' },
+    root: { type: 'string', default: '.' },
+    variations: { type: 'string', default: '' },
+    layout: { type: 'string', default: 'default' },
+    include: { type: 'string', default: DEFAULT_INCLUDE.join(',') },
+    depth: { type: 'string', default: '2' },
+    'base-url': { type: 'string', default: '' },
+    concurrency: { type: 'string', default: '6' },
+    timeout: { type: 'string', default: '20' },
+    retries: { type: 'string', default: '2' },
+    'inline-svg': { type: 'boolean', default: false },
+    'no-extract-inline': { type: 'boolean', default: false },
+    'no-localize': { type: 'boolean', default: false },
+    'no-replace-inline': { type: 'boolean', default: false },
+    'fail-on-missing': { type: 'boolean', default: false },
+    budget: { type: 'string', multiple: true, default: [] },
+    'block-on-audit': { type: 'boolean', default: false },
+    bundle: { type: 'boolean', default: false },
+    'asset-base-url': { type: 'string', default: '' },
+    minify: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+    version: { type: 'boolean', short: 'v', default: false }
+};
+
+// Thrown for bad arguments: printed with the usage, exit code 2
+class UsageError extends Error {}
+
+main(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    err => {
+        console.error(`devpack: ${err.message}`);
+        if (err instanceof UsageError) console.error(`\n${USAGE}`);
+        process.exitCode = err instanceof UsageError ? 2 : 1;
+    }
+);
+
+/**
+ * Runs a command.
+ * @param {string[]} argv Arguments after `node devpack.js`
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+    const { values, positionals: [command, ...files] } = parsed;
+
+    if (values.version) {
+        console.log(`${APP_NAME} v${APP_VERSION}`);
+        return 0;
+    }
+    if (values.help || !command) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (command !== 'build') throw new UsageError(`Unknown command "${command}"`);
+
+    return build(readBuildOptions(values, files));
+}
+
+/**
+ * Validates the parsed arguments of `devpack build`.
+ * @param {Object} values Parsed options
+ * @param {string[]} files Source file paths
+ * @returns {Object}
+ */
+function readBuildOptions(values, files) {
+    const name = (values.name || '').trim();
+    if (!/^[a-zA-Z0-9-]+$/.test(name)) throw new UsageError('--name is required: letters, numbers and hyphens only');
+    if (files.length === 0) throw new UsageError('No source files given');
+
+    const preset = LAYOUT_PRESETS[values.layout];
+    if (!preset) throw new UsageError(`Unknown layout "${values.layout}"`);
+    if (/\{number(:[^}]*)?\}/.test(preset.zipName + preset.rootFolder) && !values.number) {
+        throw new UsageError(`The "${values.layout}" layout needs --number`);
+    }
+
+    const types = values.include.split(',').map(type => type.trim()).filter(Boolean);
+    const unknown = types.filter(type => !ASSET_TYPES.includes(type));
+    if (unknown.length > 0) throw new UsageError(`Unknown asset type(s): ${unknown.join(', ')}`);
+
+    const budgets = { ...AUDIT_BUDGETS };
+    values.budget.flatMap(list => list.split(',')).map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const [, type, kb] = entry.match(/^(\w+)=(\d+)$/) || [];
+        if (!type || !(type in AUDIT_BUDGETS)) throw new UsageError(`--budget expects type=KB with a type of ${Object.keys(AUDIT_BUDGETS).join(', ')}`);
+        budgets[type] = Number(kb);
+    });
+
+    const root = path.resolve(values.root);
+    const outside = files.filter(file => path.relative(root, path.resolve(file)).startsWith('..'));
+    if (outside.length > 0) throw new UsageError(`Not inside the root folder ${root} (set --root): ${outside.join(', ')}`);
+
+    const variations = values.variations.split(',').map(variation => sanitizeFileName(variation.trim())).filter(Boolean);
+
+    const assetBaseUrl = values['asset-base-url'].trim();
+    if ((assetBaseUrl || values.minify) && !values.bundle) throw new UsageError('--asset-base-url and --minify apply to --bundle');
+    if (assetBaseUrl && !/^https?:\/\/[^/]/i.test(assetBaseUrl)) throw new UsageError('--asset-base-url must be an absolute http(s) URL');
+
+    return {
+        name,
+        number: values.number.trim(),
+        out: values.out,
+        root,
+        variations,
+        layout: { zipName: preset.zipName, rootFolder: preset.rootFolder, folders: { ...preset.folders } },
+        include: Object.fromEntries(ASSET_TYPES.map(type => [type, types.includes(type)])),
+        maxDepth: readNumberOption(values, 'depth'),
+        baseUrl: values['base-url'].trim(),
+        concurrency: Math.max(1, readNumberOption(values, 'concurrency')),
+        timeout: readNumberOption(values, 'timeout') * 1000,
+        retries: readNumberOption(values, 'retries'),
+        extractInline: !values['no-extract-inline'],
+        inlineSvg: values['inline-svg'],
+        localize: !values['no-localize'],
+        replaceInline: !values['no-replace-inline'],
+        failOnMissing: values['fail-on-missing'],
+        budgets,
+        blockOnAudit: values['block-on-audit'],
+        bundle: values.bundle ? { assetBaseUrl, minify: values.minify } : null,
+        files
+    };
+}
+
+/**
+ * Reads a whole-number option.
+ * @param {Object} values Parsed options
+ * @param {string} key
+ * @returns {number}
+ */
+function readNumberOption(values, key) {
+    const value = Number(values[key]);
+    if (!Number.isInteger(value) || value < 0) throw new UsageError(`--${key} must be a whole number`);
+    return value;
+}
+
+/**
+ * Scans the source files, downloads their assets and writes the devpack ZIP, like
+ * "Scan & Validate" followed by "Download ZIP" in the web app (with every asset selected).
+ * @param {Object} options See readBuildOptions
+ * @returns {Promise<number>} Exit code
+ */
+async function build(options) {
+    const { name, number, layout, include, maxDepth, baseUrl, localize, replaceInline } = options;
+    const sourceFiles = await Promise.all(options.files.map(file => readSourceFile(file, options.root)));
+
+    // Step 1: extract asset links with the HTML/CSS/JS parsers
+    const occurrences = new Map();
+    const inlineAssets = new Map();
+    const assetData = await extractAssetsFromFiles(sourceFiles, include, {
+        baseUrl,
+        occurrences,
+        inlineAssets: options.extractInline ? inlineAssets : null,
+        inlineSvg: options.inlineSvg
+    });
+    const scannedAt = new Date().toISOString();
+
+    // Step 2: download the external ones through the queue
+    const remoteAssets = Object.fromEntries(Object.entries(assetData).map(([type, urls]) => [type, new Set([...urls].filter(url => !inlineAssets.has(url)))]));
+    const result = await validateAndFetchAssets(remoteAssets, {
+        include,
+        maxDepth,
+        concurrency: options.concurrency,
+        timeout: options.timeout,
+        retries: options.retries,
+        headers: url => (isFontCssUrl(url) ? { 'User-Agent': BROWSER_USER_AGENT } : {}),
+        onStatus: (url, status, detail) => {
+            if (status === 'retrying' || status === 'failed') console.error(`  ${status}: ${url}${detail ? ` (${detail})` : ''}`);
+        }
+    });
+
+    // Extracted inline assets are stored like downloads
+    inlineAssets.forEach(({ type, name: filename, blob, mime, hash }, url) => {
+        result.valid[type].set(filename, blob);
+        result.urls.set(url, { type, filename, hash, mime, size: blob.size });
+    });
+
+    // Step 3: name every stored file per layout folder and package
+    const stored = new Map(); // hash -> { hash, type, name, blob }
+    result.urls.forEach(({ type, filename, hash }) => {
+        if (!stored.has(hash)) stored.set(hash, { hash, type, name: filename, blob: result.valid[type].get(filename) });
+    });
+    const names = assignPackagedNames([...stored.values()], layout);
+    const zipContent = { images: new Map(), gifs: new Map(), videos: new Map(), fonts: new Map(), css: new Map(), js: new Map() };
+    stored.forEach(file => zipContent[file.type].set(names.get(file.hash), file.blob));
+    const assetUrlMap = new Map([...result.urls].map(([url, info]) => [url, { ...info, filename: names.get(info.hash) }]));
+
+    // Step 4: audit sizes, mixed content, duplicates, fonts and image dimensions
+    const issues = await auditAssets({
+        zipContent,
+        assetUrlMap,
+        urls: Object.values(assetData).flatMap(urls => [...urls]),
+        occurrences,
+        sourceFiles,
+        budgets: options.budgets,
+        localize
+    });
+    const auditErrors = issues.filter(issue => issue.level === 'error');
+    if (options.blockOnAudit && auditErrors.length > 0) {
+        printAudit(issues);
+        console.error(`\ndevpack: no ZIP written, the audit found ${auditErrors.length} error(s)`);
+        return 1;
+    }
+
+    const zip = new JSZip();
+    const { filename, manifest, unresolved } = await packageDevpack(zip, {
+        name,
+        number,
+        layout,
+        zipContent,
+        assetUrlMap,
+        sourceFiles,
+        variations: options.variations,
+        localize,
+        replaceInline,
+        bundle: options.bundle,
+        baseUrlOptions: { baseUrl },
+        downloaded: result.urls,
+        scan: {
+            scannedAt,
+            include,
+            maxDepth,
+            baseUrl,
+            occurrences,
+            discovered: result.discovered,
+            parents: result.parents,
+            failed: result.failed,
+            cancelled: false
+        }
+    });
+
+    await fs.mkdir(options.out, { recursive: true });
+    const zipPath = path.join(options.out, filename);
+    const content = await zip.generateAsync({ type: 'nodebuffer' });
+    await fs.writeFile(zipPath, content);
+
+    printSummary(zipPath, content.length, manifest, localize ? unresolved : []);
+    printAudit(issues);
+    return options.failOnMissing && manifest.failed.length > 0 ? 1 : 0;
+}
+
+/**
+ * Reads a source file from disk as a File, as the web app gets it from an uploaded folder:
+ * named by its path relative to the root, so same-named files in different folders (and
+ * variation folders) stay apart.
+ * @param {string} filePath
+ * @param {string} root Absolute path of the root folder
+ * @returns {Promise<File>}
+ */
+async function readSourceFile(filePath, root) {
+    try {
+        const [content, stats] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+        const name = sanitizeFilePath(path.relative(root, path.resolve(filePath)).split(path.sep).join('/'));
+        return new File([content], name, { lastModified: stats.mtimeMs });
+    } catch (err) {
+        throw new Error(`Cannot read ${filePath}: ${err.message}`);
+    }
+}
+
+/**
+ * Prints what went into the devpack and what did not.
+ * @param {string} zipPath
+ * @param {number} zipSize Bytes written to zipPath
+ * @param {Object} manifest See buildManifest
+ * @param {string[]} unresolved Asset URLs left pointing at their remote location
+ */
+function printSummary(zipPath, zipSize, manifest, unresolved) {
+    const { summary, assets, failed, bundles } = manifest;
+    const byType = Object.entries(assets.reduce((counts, { type }) => ({ ...counts, [type]: (counts[type] || 0) + 1 }), {}))
+        .map(([type, count]) => `${type} ${count}`)
+        .join(', ');
+
+    console.log(`\n${zipPath} (${formatBytes(zipSize)})`);
+    console.log(`  Source files: ${summary.sourceFiles}`);
+    console.log(`  Assets:       ${summary.assets}${byType ? ` (${byType})` : ''}`);
+    console.log(`  Content:      ${formatBytes(summary.totalBytes)} uncompressed (source files and assets)`);
+    console.log(`  Failed:       ${summary.failed}`);
+    failed.forEach(({ url, reason }) => console.log(`    ✗ ${url} — ${reason}`));
+    bundles.forEach(({ path: bundlePath, size, gzipSize, skipped }) => {
+        console.log(`  Bundle:       ${bundlePath} ${formatBytes(size)} (${formatBytes(gzipSize)} gzipped)`);
+        if (skipped.length > 0) console.log(`    skipped (ES module / SCSS): ${skipped.join(', ')}`);
+    });
+
+    if (unresolved.length > 0) {
+        console.log(`  References left unchanged: ${unresolved.length}`);
+        unresolved.forEach(url => console.log(`    ${url}`));
+    }
+}
+
+/**
+ * Prints the audit findings, errors first.
+ * @param {Array} issues See auditAssets
+ */
+function printAudit(issues) {
+    const errors = issues.filter(issue => issue.level === 'error').length;
+    console.log(`  Audit:        ${errors} error(s), ${issues.length - errors} warning(s)`);
+    issues.forEach(({ level, message }) => console.log(`    ${level === 'error' ? '✗' : '!'} ${message}`));
+}
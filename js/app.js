@@ -16,9 +16,31 @@
 /*  ==================================================
     GLOBAL STATE
     ================================================== */
+
 let collectedFiles = []; // Manually dropped/uploaded files
 let uploadedFileSet = new Set(); // Ensures unique file list
-let zipContent = null; // Holds validated asset blobs to be zipped
+let zipContent = null; // Holds validated asset blobs to be zipped (selected assets only, final names)
+let assetUrlMap = null; // Maps each selected asset URL to its type and filename in zipContent
+let validatedAssets = null; // Everything downloaded so far: { files: hash -> stored file, urls: URL -> info }
+let assetChoices = new Map(); // Per-asset choices from the preview, keyed by content hash: { selected, name }
+let fileBaseUrls = new Map(); // Per-file base URL overrides, keyed by file key
+let variationNames = []; // Variation groups (e.g. control, variation-1): folders their source files are packaged in
+let scanController = null; // Aborts the running scan when the user cancels
+let scanDetails = null; // Settings, failures and asset sources of the last scan, written to the manifest
+let inlinePreviewUrls = new Map(); // Object URLs showing extracted inline assets in the preview
+let optimizedImages = new Map(); // Re-encoded images of the last optimization run, keyed by content hash
+let optimizationRun = null; // Latest optimization run: { promise }
+let imageWorker = null; // Web Worker doing the image re-encoding, started on first use
+let imageJobs = new Map(); // Pending worker jobs: id -> { resolve, reject }
+let imageJobCounter = 0;
+let devpackLayout = null; // Folder and naming templates of the devpack (see LAYOUT_PRESETS)
+let previousDevpack = null; // Devpack ZIP opened for an incremental rebuild: { name, manifest, blobs: URL -> Blob, sourceKeys }
+let sessionId = null; // IndexedDB key of the current session, created on first autosave
+let sessionDb = null; // Promise of the opened session database
+let sessionSaveTimer = null; // Pending autosave
+let auditRun = 0; // Latest audit, so a slower earlier one does not overwrite it
+let livePreview = null; // Open devpack preview: { files: path -> ZIP entry, sourceFiles, dataUris, run, missing }
+let previewSources = null; // Where the assets in the preview come from: { occurrences, discovered, excluded }
 
 
 /*  ==================================================
@@ -29,14 +51,50 @@ const jsCheckbox = document.querySelector('.js-include-js');
 const cssCheckbox = document.querySelector('.js-include-css');
 const fontCheckbox = document.querySelector('.js-include-fonts');
 const imgCheckbox = document.querySelector('.js-include-images');
+const videoCheckbox = document.querySelector('.js-include-videos');
+const gifCheckbox = document.querySelector('.js-include-gifs');
+const crawlDepthInput = document.querySelector('.js-crawl-depth');
+
+// download queue settings
+const concurrencyInput = document.querySelector('.js-concurrency');
+const timeoutInput = document.querySelector('.js-timeout');
+const retriesInput = document.querySelector('.js-retries');
+
+// image optimization settings
+const optimizeCheckbox = document.querySelector('.js-optimize-images');
+const optimizeMaxInput = document.querySelector('.js-optimize-max');
+const optimizeFormatSelect = document.querySelector('.js-optimize-format');
+const optimizeQualityInput = document.querySelector('.js-optimize-quality');
+
+// inline data URI / SVG extraction
+const extractInlineCheckbox = document.querySelector('.js-extract-inline');
+const extractSvgCheckbox = document.querySelector('.js-extract-svg');
+const replaceInlineCheckbox = document.querySelector('.js-replace-inline');
+
+// audit size budgets
+const budgetInputs = document.querySelectorAll('.js-budget');
+const auditBlockCheckbox = document.querySelector('.js-audit-block');
+
+// base URL used to resolve relative asset paths
+const baseUrlInput = document.querySelector('.js-base-url');
+
+// CORS proxy retried when the browser may not fetch an asset directly
+const proxyUrlInput = document.querySelector('.js-proxy-url');
 
 // drag/dropzon
 const dropzone = document.querySelector('.js-dropzone');
 
+// variation groups
+const variationTargetSelect = document.querySelector('.js-variation-target');
+const variationNameInput = document.querySelector('.js-variation-name');
+const addVariationBtn = document.querySelector('.js-btn-add-variation');
+
 // file inputs
 const jsInput = document.querySelector('.js-js-files');
 const cssInput = document.querySelector('.js-css-files');
 const htmlInput = document.querySelector('.js-html-files');
+const folderInput = document.querySelector('.js-folder-files');
+const zipInput = document.querySelector('.js-zip-files');
 
 // preview and result section blocks
 const previewBox = document.querySelector('.js-preview');
@@ -45,13 +103,45 @@ const resultBox = document.querySelector('.js-result');
 // scan and download buttons
 const scanBtn = document.querySelector('.js-btn-scan');
 const downloadBtn = document.querySelector('.js-btn-download');
+const cancelBtn = document.querySelector('.js-btn-cancel');
+
+// offline devpack preview
+const previewDevpackBtn = document.querySelector('.js-btn-preview');
+const livePreviewBox = document.querySelector('.js-live-preview');
+const livePageSelect = document.querySelector('.js-live-page');
+const liveReloadBtn = document.querySelector('.js-btn-live-reload');
+const liveCloseBtn = document.querySelector('.js-btn-live-close');
+const liveFrame = document.querySelector('.js-live-frame');
+const liveMissingBox = document.querySelector('.js-live-missing');
+
+// manually added asset URLs
+const manualUrlsInput = document.querySelector('.js-manual-urls');
+const addUrlsBtn = document.querySelector('.js-btn-add-urls');
+
+// saved sessions
+const sessionList = document.querySelector('.js-sessions');
+const sessionStatus = document.querySelector('.js-session-status');
+const newSessionBtn = document.querySelector('.js-btn-new-session');
+const exportSessionBtn = document.querySelector('.js-btn-export-session');
+const importSessionInput = document.querySelector('.js-import-session');
 
 // modal selectors
 const modal = document.querySelector('.js-modal');
 const testNameInput = document.querySelector('.js-test-name');
 const testNumberInput = document.querySelector('.js-test-number');
+const localizeCheckbox = document.querySelector('.js-localize-refs');
+const bundleCheckbox = document.querySelector('.js-bundle');
+const bundleBaseUrlInput = document.querySelector('.js-bundle-base-url');
+const bundleMinifyCheckbox = document.querySelector('.js-bundle-minify');
 const generateBtn = document.querySelector('.js-generate-zip');
 
+// devpack layout templates
+const layoutPresetSelect = document.querySelector('.js-layout-preset');
+const layoutFields = document.querySelectorAll('.js-layout-field');
+const layoutPreview = document.querySelector('.js-layout-preview');
+const savePresetBtn = document.querySelector('.js-btn-save-preset');
+const deletePresetBtn = document.querySelector('.js-btn-delete-preset');
+
 
 /*  ==================================================
     FILE DRAG & DROP + MANUAL FILE UPLOAD LOGIC
@@ -65,27 +155,173 @@ dropzone.addEventListener('dragleave', () => {
     dropzone.style.borderColor = '#999';
 });
 
-// Handle dropped files
-dropzone.addEventListener('drop', (e) => {
+// Source file types accepted from uploads, folders and archives
+const SOURCE_FILE_REGEX = /\.(js|mjs|css|scss|html?|json|svg)$/i;
+
+// Handle dropped files, folders and ZIP archives
+dropzone.addEventListener('drop', async (e) => {
     e.preventDefault();
     dropzone.style.borderColor = '#999';
-    const dropped = [...e.dataTransfer.files].filter(f => /\.(js|css|html)$/.test(f.name));
-    //collectedFiles.push(...dropped);
-    updatePreview(dropped);
+
+    // Entries can only be taken while the drop event is handled; folders are read after
+    const entries = [...e.dataTransfer.items].map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+    const files = [...e.dataTransfer.files];
+
+    try {
+        const items = entries.length > 0 && entries.every(Boolean)
+            ? (await Promise.all(entries.map(readDroppedEntry))).flat()
+            : files.map(file => ({ file, path: file.name }));
+
+        await addUploadedItems(items);
+    } catch (err) {
+        alert(`Could not add the dropped files: ${err.message}`);
+    }
 });
 
-// handle uploaded files
-[jsInput, cssInput, htmlInput].forEach(input => {
+// handle uploaded files (a folder picker gives each file its relative path)
+[jsInput, cssInput, htmlInput, folderInput, zipInput].forEach(input => {
     input.addEventListener('change', () => {
-        const files = [...input.files];
-        //collectedFiles.push(...files);
-        updatePreview(files);
+        addUploadedItems([...input.files].map(file => ({ file, path: file.webkitRelativePath || file.name })))
+            .catch(err => alert(`Could not add the files: ${err.message}`));
+        // Picking the same file again (e.g. after removing it) fires change again
+        input.value = '';
     });
 });
 
+// Remove a single file from the upload list
+previewBox.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('.js-remove-file');
+    if (!removeBtn) return;
+
+    const { fileKey } = removeBtn.dataset;
+    collectedFiles = collectedFiles.filter(file => getFileKey(file) !== fileKey);
+    uploadedFileSet.delete(fileKey);
+    fileBaseUrls.delete(fileKey);
+    updatePreview([]);
+    scheduleSessionSave();
+});
+
+// Keep per-file base URL overrides in sync with the file list inputs
+previewBox.addEventListener('input', (e) => {
+    const baseInput = e.target.closest('.js-file-base');
+    if (!baseInput) return;
+
+    const value = baseInput.value.trim();
+    if (value) {
+        fileBaseUrls.set(baseInput.dataset.fileKey, value);
+    } else {
+        fileBaseUrls.delete(baseInput.dataset.fileKey);
+    }
+});
+
+/**
+ * Reads a dropped file, or a folder with everything in it, as { file, path } items.
+ * @param {FileSystemEntry} entry
+ * @returns {Promise<Array<{file: File, path: string}>>}
+ */
+async function readDroppedEntry(entry) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        return [{ file, path: entry.fullPath.replace(/^\//, '') }];
+    }
+
+    // readEntries hands out a folder's children in batches until it returns none
+    const reader = entry.createReader();
+    const children = [];
+    let batch;
+    while ((batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))).length > 0) {
+        children.push(...batch);
+    }
+    return (await Promise.all(children.map(readDroppedEntry))).flat();
+}
+
+/**
+ * Adds uploaded items to the file list: ZIP archives are unpacked (a devpack built by this app
+ * is reopened for an incremental rebuild instead), other files keep their relative path.
+ * Reopening a devpack starts a new session, so the other items of that upload are left out (and listed).
+ * @param {Array<{file: File, path: string}>} items
+ */
+async function addUploadedItems(items) {
+    const sources = [];
+
+    for (const item of items) {
+        if (!/\.zip$/i.test(item.file.name)) {
+            sources.push(item);
+            continue;
+        }
+
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(item.file);
+        } catch (err) {
+            alert(`Could not open ${item.file.name}: ${err.message}`);
+            continue;
+        }
+
+        if (await isDevpackArchive(zip)) {
+            const ignored = items.filter(other => other !== item).map(other => other.path);
+            await openDevpackZip(item.file);
+            if (ignored.length > 0) {
+                alert(`${item.file.name} was reopened as a devpack, so the other ${ignored.length} file(s) were not added:\n\n${ignored.join('\n')}\n\nAdd them again to include them in the rebuild.`);
+            }
+            return;
+        }
+
+        const entries = zip.file(/.*/).filter(entry => !/(^|\/)(__MACOSX|\.[^/]*)(\/|$)/.test(entry.name));
+        sources.push(...await Promise.all(entries.map(async entry => ({
+            file: new File([await entry.async('blob')], entry.name.split('/').pop(), { lastModified: entry.date.getTime() }),
+            path: entry.name
+        }))));
+    }
+
+    updatePreview(toSourceFiles(sources));
+}
+
+/**
+ * Whether an archive is a devpack built by this app (its manifest lists the packaged assets
+ * and the settings they were built with).
+ * @param {JSZip} zip
+ * @returns {Promise<boolean>}
+ */
+async function isDevpackArchive(zip) {
+    const manifestFile = zip.file(/(^|\/)manifest\.json$/).sort((a, b) => a.name.length - b.name.length)[0];
+    if (!manifestFile) return false;
+
+    try {
+        const manifest = JSON.parse(await manifestFile.async('string'));
+        return Boolean(manifest.tool && Array.isArray(manifest.assets) && Array.isArray(manifest.sourceFiles)
+            && manifest.settings && manifest.settings.include);
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Turns uploaded items into source files named by their relative path (e.g. src/variant.js),
+ * skipping unsupported types. A single folder holding everything is left out of the paths,
+ * unless it is named after a variation. Files go into the variation picked in "Add files to".
+ * @param {Array<{file: File, path: string}>} items
+ * @returns {File[]}
+ */
+function toSourceFiles(items) {
+    const sources = items
+        .filter(({ file }) => SOURCE_FILE_REGEX.test(file.name))
+        .map(({ file, path }) => ({ file, parts: path.split('/').filter(Boolean) }));
+
+    const [first] = sources;
+    const commonFolder = first && first.parts.length > 1 && !variationNames.includes(first.parts[0])
+        && sources.every(({ parts }) => parts.length > 1 && parts[0] === first.parts[0]);
+    const variation = variationTargetSelect.value;
+
+    return sources.map(({ file, parts }) => {
+        const path = [variation, ...(commonFolder ? parts.slice(1) : parts)].filter(Boolean).join('/');
+        return path === file.name ? file : new File([file], path, { type: file.type, lastModified: file.lastModified });
+    });
+}
+
 /**
  * Displays names of newly added files in preview area.
- * Deduplicates by file content (name, size, lastModified).
+ * Deduplicates by file content (path, size, lastModified).
  * @param {File[]} files
  */
 function updatePreview(newFiles) {
@@ -93,21 +329,155 @@ function updatePreview(newFiles) {
 
     // Use a composite key for deduplication (using file name, file size and last modified data)
     for (const f of newFiles) {
-        const fileKey = `${f.name}-${f.size}-${f.lastModified}`;
+        const fileKey = getFileKey(f);
         if (!uploadedFileSet.has(fileKey)) {
             uploadedFileSet.add(fileKey);
             newUniqueFiles.push(f);
         }
     }
 
+    // While rebuilding a devpack, an upload replaces the restored source file of the same name
+    if (previousDevpack) {
+        collectedFiles = collectedFiles.filter(f => {
+            const replaced = previousDevpack.sourceKeys.has(getFileKey(f)) && newUniqueFiles.some(n => n.name === f.name);
+            if (replaced) uploadedFileSet.delete(getFileKey(f));
+            return !replaced;
+        });
+    }
+
     // Only push truly new files to collectedFiles
     collectedFiles.push(...newUniqueFiles);
 
-    // Re-render the file list from collectedFiles
-    const allNames = collectedFiles.map(f => f.name);
-    const uniqueSorted = [...new Set(allNames)].sort();
+    // Re-render the file list from collectedFiles, each with its own base URL override
+    const sorted = [...collectedFiles].sort((a, b) => a.name.localeCompare(b.name));
+
+    // With variations, a variation picker per file
+    const variationSelect = (f) => {
+        if (variationNames.length === 0) return '';
+        const current = getFileVariation(f.name, variationNames);
+        return `
+          <select class="preview-files__variation js-file-variation" data-file-key="${escapeHtml(getFileKey(f))}" title="Variation">
+            <option value="">Shared</option>
+            ${variationNames.map(variation => `<option value="${escapeHtml(variation)}" ${variation === current ? 'selected' : ''}>${escapeHtml(variation)}</option>`).join('')}
+          </select>`;
+    };
+
+    const fileList = (files) => `
+    <ul class="preview-files">
+      ${files.map(f => `
+        <li>
+          <span>${escapeHtml(f.name)}</span>
+          <input type="url" class="preview-files__base js-file-base" data-file-key="${escapeHtml(getFileKey(f))}" value="${escapeHtml(fileBaseUrls.get(getFileKey(f)) || '')}" placeholder="Base URL override (optional)" />
+          ${variationSelect(f)}
+          <button type="button" class="preview-files__remove js-remove-file" data-file-key="${escapeHtml(getFileKey(f))}" title="Remove this file">✕</button>
+        </li>
+      `).join('')}
+    </ul>`;
+
+    // Files grouped per variation, shared files last
+    const groups = [...variationNames, null].map(variation => ({
+        variation,
+        files: sorted.filter(f => getFileVariation(f.name, variationNames) === variation)
+    }));
+
+    previewBox.innerHTML = variationNames.length === 0 ? `
+    <strong>Files added (${collectedFiles.length}):</strong>
+    ${fileList(sorted)}
+  ` : `
+    <strong>Files added (${collectedFiles.length}):</strong>
+    ${groups.map(({ variation, files }) => `
+      <div class="preview-variation">
+        <strong>${variation ? escapeHtml(variation) : 'Shared'} (${files.length})</strong>
+        ${variation ? `<button type="button" class="preview-toolbar__btn js-remove-variation" data-variation="${escapeHtml(variation)}" title="Remove this variation; its files become shared">Remove variation</button>` : ''}
+        ${fileList(files)}
+      </div>
+    `).join('')}
+  `;
+
+    if (newUniqueFiles.length > 0) scheduleSessionSave();
+}
+
+
+/*  ==================================================
+    VARIATION GROUPS LOGIC
+    ================================================== */
+addVariationBtn.addEventListener('click', () => {
+    const name = sanitizeFileName(variationNameInput.value.trim());
+    if (!name) {
+        alert('Please enter a variation name, e.g. control or variation-1.');
+        return;
+    }
+    if (variationNames.includes(name)) {
+        alert(`There already is a variation named "${name}".`);
+        return;
+    }
+
+    variationNames.push(name);
+    variationNameInput.value = '';
+    renderVariationTargets(name);
+    // Files already in a folder of that name belong to it now
+    updatePreview([]);
+    scheduleSessionSave();
+});
+
+// Move a file to another variation
+previewBox.addEventListener('change', (e) => {
+    const select = e.target.closest('.js-file-variation');
+    if (!select) return;
+
+    const file = collectedFiles.find(f => getFileKey(f) === select.dataset.fileKey);
+    if (file) moveToVariation(file, select.value || null);
+    updatePreview([]);
+});
+
+// Remove a variation; its files stay, as shared files
+previewBox.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('.js-remove-variation');
+    if (!removeBtn) return;
+
+    const { variation } = removeBtn.dataset;
+    collectedFiles.filter(f => getFileVariation(f.name, variationNames) === variation).forEach(f => moveToVariation(f, null));
+    variationNames = variationNames.filter(name => name !== variation);
+    renderVariationTargets();
+    updatePreview([]);
+    scheduleSessionSave();
+});
+
+/**
+ * Fills the "Add files to" picker with the variations.
+ * @param {string} [selected] Variation to pick, the current one by default
+ */
+function renderVariationTargets(selected = variationTargetSelect.value) {
+    variationTargetSelect.innerHTML = `
+      <option value="">Shared (no variation)</option>
+      ${variationNames.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')}
+    `;
+    variationTargetSelect.value = variationNames.includes(selected) ? selected : '';
+}
 
-    previewBox.innerHTML = `<strong>Files added (${collectedFiles.length}):</strong><br>\n` + uniqueSorted.join('<br>\n');
+/**
+ * Moves an uploaded file into another variation folder (or out of them), renaming it in place.
+ * Its base URL override goes along.
+ * @param {File} file
+ * @param {string|null} variation
+ */
+function moveToVariation(file, variation) {
+    const current = getFileVariation(file.name, variationNames);
+    if (current === variation) return;
+
+    const path = current ? file.name.slice(current.length + 1) : file.name;
+    const moved = new File([file], variation ? `${variation}/${path}` : path, { type: file.type, lastModified: file.lastModified });
+    const [oldKey, newKey] = [getFileKey(file), getFileKey(moved)];
+
+    uploadedFileSet.delete(oldKey);
+    if (fileBaseUrls.has(oldKey)) fileBaseUrls.set(newKey, fileBaseUrls.get(oldKey));
+    fileBaseUrls.delete(oldKey);
+
+    // The same file already in that variation is kept once
+    collectedFiles = uploadedFileSet.has(newKey)
+        ? collectedFiles.filter(f => f !== file)
+        : collectedFiles.map(f => (f === file ? moved : f));
+    uploadedFileSet.add(newKey);
 }
 
 
@@ -116,46 +486,126 @@ function updatePreview(newFiles) {
     ================================================== */
 scanBtn.addEventListener('click', processFiles);
 
+// Stop the running scan, keeping whatever already downloaded
+cancelBtn.addEventListener('click', () => {
+    if (scanController) {
+        scanController.abort();
+        cancelBtn.disabled = true;
+    }
+});
+
 /**
  * Main scan function: reads uploaded files, extracts URLs, validates them.
  */
 async function processFiles() {
-    // Add selectors for videos and gifs
-    const videoCheckbox = document.querySelector('.js-include-videos');
-    const gifCheckbox = document.querySelector('.js-include-gifs');
     const include = {
         js: jsCheckbox.checked,
         css: cssCheckbox.checked,
         fonts: fontCheckbox.checked,
         images: imgCheckbox.checked,
-        videos: videoCheckbox ? videoCheckbox.checked : true,
-        gifs: gifCheckbox ? gifCheckbox.checked : true
+        videos: videoCheckbox.checked,
+        gifs: gifCheckbox.checked
     };
 
-    const allFiles = [
-        ...jsInput.files,
-        ...cssInput.files,
-        ...htmlInput.files,
-        ...collectedFiles
-    ];
+    // Uploads and drops all end up in collectedFiles (see updatePreview)
+    const allFiles = collectedFiles;
 
     if (allFiles.length === 0) {
         alert('Please add files before scanning.');
         return;
     }
 
-    // Step 1: extract asset links using regex
-    const assetData = await extractAssetsFromFiles(allFiles, include);
+    // Step 1: extract asset links with the HTML/CSS/JS parsers
+    const occurrences = new Map(); // asset URL -> where it is referenced in the uploaded files
+    const filteredOut = new Map(); // asset URL -> { type, occurrences } for types the filters leave out
+    const inlineAssets = new Map(); // pseudo-URL -> data URI / inline SVG decoded into a file
+    const assetData = await extractAssetsFromFiles(allFiles, include, {
+        ...getBaseUrlOptions(),
+        occurrences,
+        excluded: filteredOut,
+        inlineAssets: extractInlineCheckbox.checked ? inlineAssets : null,
+        inlineSvg: extractSvgCheckbox.checked
+    });
+    inlineAssets.forEach(({ blob }, url) => {
+        if (!inlinePreviewUrls.has(url)) inlinePreviewUrls.set(url, URL.createObjectURL(blob));
+    });
 
     // Step 2: render collapsible UI previews
-    renderAssetPreview(assetData);
+    const statuses = new Map(); // asset URL -> { status, detail } while downloading
+    renderAssetPreview(assetData, { occurrences, excluded: filteredOut, statuses });
+    const statusBadges = new Map([...previewBox.querySelectorAll('.js-asset-status')].map(el => [el.dataset.url, el]));
+    inlineAssets.forEach((asset, url) => {
+        statuses.set(url, { status: 'done', detail: 'Extracted from the source file' });
+        updateStatusBadge(statusBadges.get(url), 'done', 'Extracted from the source file');
+    });
+
+    // Step 3: validate external asset URLs (downloadable?) through the download queue
+    scanController = new AbortController();
+    scanBtn.disabled = true;
+    cancelBtn.hidden = false;
+    cancelBtn.disabled = false;
+    renderScanProgress(statuses);
+
+    const maxDepth = readNumberInput(crawlDepthInput, 0);
+    const remoteAssets = Object.fromEntries(Object.entries(assetData).map(([type, urls]) => [type, new Set([...urls].filter(url => !inlineAssets.has(url)))]));
+    const validationResult = await validateAndFetchAssets(remoteAssets, {
+        include,
+        maxDepth,
+        ...getDownloadOptions(),
+        cached: previousDevpack ? previousDevpack.blobs : new Map(),
+        signal: scanController.signal,
+        onStatus: (url, status, detail = '') => {
+            statuses.set(url, { status, detail });
+            updateStatusBadge(statusBadges.get(url), status, detail);
+            renderScanProgress(statuses);
+        }
+    });
+    scanDetails = {
+        scannedAt: new Date().toISOString(),
+        include,
+        maxDepth,
+        baseUrl: getBaseUrlOptions().baseUrl,
+        assetData,
+        occurrences,
+        excluded: filteredOut,
+        statuses,
+        discovered: new Map(),
+        parents: new Map(),
+        failed: [],
+        cancelled: validationResult.cancelled
+    };
+    validatedAssets = { files: new Map(), urls: new Map() };
+    assetChoices = new Map();
+
+    // Extracted inline assets are stored like downloads
+    inlineAssets.forEach(({ type, name, blob, mime, hash }, url) => {
+        validationResult.valid[type].set(name, blob);
+        validationResult.urls.set(url, { type, filename: name, hash, mime, size: blob.size });
+    });
+    mergeValidationResult(validationResult);
+
+    // Compare against the devpack being rebuilt; assets left out of it stay deselected
+    if (previousDevpack) {
+        scanDetails.sourceHashes = new Map(await Promise.all(collectedFiles.map(async f => [f.name, await getSourceHash(f)])));
+        (previousDevpack.manifest.excluded || []).forEach(({ url }) => {
+            const info = validatedAssets.urls.get(url);
+            if (info) assetChoices.set(info.hash, { ...getAssetChoice(info.hash), selected: false });
+        });
+        applyAssetChoices();
+    }
 
-    // Step 3: validate external asset URLs (downloadable?)
-    resultBox.innerText = "Validating assets...";
-    const validationResult = await validateAndFetchAssets(assetData);
-    zipContent = validationResult.valid;
+    scanController = null;
+    scanBtn.disabled = false;
+    cancelBtn.hidden = true;
 
-    resultBox.innerText = "Validation complete. Click download to proceed.";
+    // Re-render the preview with per-asset choices, dependencies found inside fetched CSS/JS,
+    // and assets whose content turned out to be another type than the URL suggested
+    refreshAssetPreview();
+    scheduleSessionSave();
+
+    resultBox.innerText = validationResult.cancelled
+        ? `Scan cancelled. ${validationResult.urls.size} downloaded asset(s) kept — click download to proceed or scan again.`
+        : "Validation complete. Click download to proceed.";
 
     const excluded = Object.keys(include).filter(key => !include[key]);
     if (excluded.length > 0) {
@@ -170,68 +620,352 @@ async function processFiles() {
         };
         resultBox.innerText += `\n\n⚠️ Excluded from scan: ${excluded.map(e => labelMap[e] || e.toUpperCase()).join(', ')}`;
     }
+}
+
+/**
+ * Reads the download queue settings from the UI.
+ * @returns {Object} { concurrency, timeout, retries, proxyUrl }
+ */
+function getDownloadOptions() {
+    return {
+        concurrency: readNumberInput(concurrencyInput, 6),
+        timeout: readNumberInput(timeoutInput, 20) * 1000,
+        retries: readNumberInput(retriesInput, 2),
+        proxyUrl: proxyUrlInput.value.trim()
+    };
+}
+
+/**
+ * Reads the base URL settings from the UI.
+ * @returns {Object} { baseUrl, fileBaseUrls }
+ */
+function getBaseUrlOptions() {
+    return {
+        baseUrl: baseUrlInput.value.trim(),
+        fileBaseUrls
+    };
+}
+
+/**
+ * Re-renders the asset preview and failed list from the current scan state.
+ */
+function refreshAssetPreview() {
+    renderAssetPreview(scanDetails.assetData, scanDetails);
+
+    if (previousDevpack && scanDetails.sourceHashes) {
+        renderDevpackDiff(getDevpackDiff());
+    }
 
-    // Step 4: show failed URLs (CORS, 404 etc.)
-    if (validationResult.failed.length > 0) {
-        renderFailedAssets(validationResult.failed);
+    // Show failed URLs (CORS, 404 etc.)
+    if (scanDetails.failed.length > 0) {
+        renderFailedAssets(scanDetails.failed);
     }
+
+    // Audit findings next to them, filled in once the checks are done
+    previewBox.innerHTML += '<div class="js-audit"></div>';
+    runAudit();
+}
+
+
+/**
+ * Moves URLs to the asset type detected from their downloaded content.
+ * @param {Object} assetData Object of Sets by type
+ * @param {Map} urls Asset URL -> { type, ... } from validation
+ * @returns {boolean} Whether anything moved
+ */
+function moveRetypedAssets(assetData, urls) {
+    let moved = false;
+
+    urls.forEach(({ type }, url) => {
+        if (assetData[type].has(url)) return;
+        Object.values(assetData).forEach(set => set.delete(url));
+        assetData[type].add(url);
+        moved = true;
+    });
+
+    return moved;
+}
+
+/**
+ * Shows a live progress bar for the download queue in the result box.
+ * @param {Map} statuses Asset URL -> { status, detail }
+ */
+function renderScanProgress(statuses) {
+    const counts = { queued: 0, downloading: 0, retrying: 0, done: 0, failed: 0, cancelled: 0 };
+    statuses.forEach(({ status }) => counts[status]++);
+
+    const total = statuses.size;
+    const finished = counts.done + counts.failed + counts.cancelled;
+    const percent = total ? Math.round((finished / total) * 100) : 0;
+
+    resultBox.innerHTML = `
+    <div class="scan-progress">
+      <div class="scan-progress__track"><div class="scan-progress__bar" style="width: ${percent}%"></div></div>
+      <p>Validating assets... ${finished} / ${total} (${percent}%)
+        · ✅ ${counts.done} · ❌ ${counts.failed} · ⬇️ ${counts.downloading} · 🔁 ${counts.retrying} · ⏳ ${counts.queued}</p>
+    </div>
+  `;
+}
+
+/**
+ * Updates a per-asset status badge in the preview.
+ * @param {HTMLElement} [badge]
+ * @param {string} status
+ * @param {string} detail
+ */
+function updateStatusBadge(badge, status, detail) {
+    if (!badge) return;
+    badge.dataset.status = status;
+    badge.textContent = status;
+    badge.title = detail;
+}
+
+/**
+ * Reads a number setting, falling back to a default when empty or invalid.
+ * @param {HTMLInputElement} input
+ * @param {number} fallback
+ * @returns {number}
+ */
+function readNumberInput(input, fallback) {
+    const value = parseInt(input.value, 10);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
 }
 
 
 /*  ==================================================
-    ASSET EXTRACTION LOGIC FROM FILE CONTENTS
+    PER-ASSET SELECTION, RENAMING & MANUAL ADDITIONS LOGIC
     ================================================== */
+// Select / rename a single asset
+previewBox.addEventListener('change', (e) => {
+    const checkbox = e.target.closest('.js-asset-select');
+    const nameInput = e.target.closest('.js-asset-name');
+    if (!checkbox && !nameInput) return;
+
+    const hash = (checkbox || nameInput).dataset.hash;
+    const choice = getAssetChoice(hash);
+
+    if (checkbox) {
+        choice.selected = checkbox.checked;
+    } else {
+        const file = validatedAssets.files.get(hash);
+        let name = sanitizeFileName(nameInput.value.trim());
+        // Keep the original extension when the new name has none
+        if (name && !/\.[a-z0-9]+$/i.test(name)) {
+            name += (file.name.match(/\.[a-z0-9]+$/i) || [''])[0];
+        }
+        choice.name = name || null;
+    }
+
+    assetChoices.set(hash, choice);
+    applyAssetChoices();
+    syncAssetControls();
+    runAudit();
+});
+
+// Select / deselect a whole category
+previewBox.addEventListener('click', (e) => {
+    const bulkBtn = e.target.closest('.js-asset-bulk');
+    if (!bulkBtn) return;
+
+    const selected = bulkBtn.dataset.select === 'true';
+    scanDetails.assetData[bulkBtn.dataset.type].forEach(url => {
+        const info = validatedAssets.urls.get(url);
+        if (info) assetChoices.set(info.hash, { ...getAssetChoice(info.hash), selected });
+    });
+
+    applyAssetChoices();
+    syncAssetControls();
+    runAudit();
+});
+
+addUrlsBtn.addEventListener('click', addManualAssets);
+
 /**
- * Extracts asset URLs from uploaded files using patterns.
- * Improved to catch more image/font/CSS/JS URLs, including those in CSS url(...) and with/without quotes.
- * @param {File[]} files
- * @returns {Promise<Object>} Object of Sets: images, css, js, fonts
- */
-async function extractAssetsFromFiles(files, include) {
-    const assets = {
-        images: new Set(),
-        css: new Set(),
-        js: new Set(),
-        fonts: new Set(),
-    };
+ * Returns the preview choice for a stored file (selected, original name by default).
+ * @param {string} hash
+ * @returns {{selected: boolean, name: string|null}}
+ */
+function getAssetChoice(hash) {
+    return { selected: true, name: null, ...assetChoices.get(hash) };
+}
 
-    // Regex matches:
-    // - URLs in quotes, parentheses, or plain
-    // - CSS url(...) with or without quotes
-    // - Protocol-relative and absolute URLs
-    // - Common web asset extensions
-        // Improved regex: only match file extensions after a slash, not in the domain
-        const urlRegex = /(?:url\(\s*['"]?|['"])?((?:https?:)?\/\/[^\s"'()]+\/[^\s"'()]+?\.(js|css|png|jpe?g|svg|webp|gif|mp4|webm|ogg|woff2?|ttf|otf|eot)(\?[^\s"'()]*)?)(?:['"]?\s*\))?/gi;
-    // prev const urlRegex = /(?:url\(\s*['"]?|['"])?((?:https?:)?\/\/[^\s"'()]+?\.(js|css|png|jpe?g|svg|webp|woff2?|ttf|otf|eot)(\?[^\s"'()]*)?)(?:['"]?\s*\))?/gi;
+/**
+ * Adds a validation result to everything downloaded so far and refreshes zipContent.
+ * @param {Object} result See validateAndFetchAssets
+ */
+function mergeValidationResult(result) {
+    result.urls.forEach((info, url) => {
+        validatedAssets.urls.set(url, info);
+        if (validatedAssets.files.has(info.hash)) return;
+        validatedAssets.files.set(info.hash, {
+            type: info.type,
+            name: info.filename,
+            blob: result.valid[info.type].get(info.filename),
+            mime: info.mime
+        });
+    });
 
-    for (const file of files) {
-        try {
-            const text = await file.text();
-
-            const matches = [...text.matchAll(urlRegex)];
-            matches.forEach(match => {
-                let rawUrl = match[1]; // Use the captured group for the actual URL
-
-                // Normalize protocol
-                const fullUrl = rawUrl.startsWith('//') ? 'https:' + rawUrl : rawUrl;
-
-                // Categorize based on extension and add to sets
-                if ((fullUrl.endsWith('.js') || fullUrl.includes('.js?')) && include.js) {
-                    assets.js.add(fullUrl);
-                } else if ((fullUrl.endsWith('.css') || fullUrl.includes('.css?')) && include.css) {
-                    assets.css.add(fullUrl);
-                } else if (/\.(png|jpe?g|svg|webp|gif|mp4|webm|ogg)([\?#][^"')\s]*)?$/i.test(fullUrl) && include.images) {
-                    assets.images.add(fullUrl);
-                } else if (/\.(woff2?|ttf|otf|eot)([\?#][^"')\s]*)?$/i.test(fullUrl) && include.fonts) {
-                    assets.fonts.add(fullUrl);
-                }
-            });
-        } catch (err) {
-            console.warn(`Error reading file "${file.name}":`, err);
-        }
+    result.discovered.forEach((dependency, url) => scanDetails.discovered.set(url, dependency));
+    result.discovered.forEach(({ type }, url) => scanDetails.assetData[type].add(url));
+    if (!scanDetails.parents) scanDetails.parents = new Map(); // sessions saved before parents were recorded
+    result.parents.forEach((parents, url) => {
+        if (!scanDetails.parents.has(url)) scanDetails.parents.set(url, new Set());
+        parents.forEach(parent => scanDetails.parents.get(url).add(parent));
+    });
+    moveRetypedAssets(scanDetails.assetData, result.urls);
+
+    // A URL that downloaded now is no longer a failure from an earlier attempt
+    scanDetails.failed = scanDetails.failed
+        .filter(item => !result.urls.has(item.url) && !result.failed.some(failed => failed.url === item.url))
+        .concat(result.failed);
+
+    applyAssetChoices();
+    if (optimizeCheckbox.checked) optimizeImages();
+}
+
+/**
+ * Rebuilds zipContent and assetUrlMap from the downloaded assets and the preview choices:
+ * deselected assets are left out, custom names are applied, and names are made unique
+ * per layout folder with the shared naming rules.
+ */
+function applyAssetChoices() {
+    zipContent = { images: new Map(), gifs: new Map(), videos: new Map(), fonts: new Map(), css: new Map(), js: new Map() };
+    assetUrlMap = new Map();
+    if (!validatedAssets) return;
+
+    // Files of a devpack being rebuilt keep their published names, unless renamed in the preview
+    const previousNames = new Map(); // hash -> file name in the opened devpack
+    if (previousDevpack) {
+        const previousAssets = new Map(previousDevpack.manifest.assets.map(asset => [asset.url, asset]));
+        validatedAssets.urls.forEach((info, url) => {
+            const previous = previousAssets.get(url);
+            if (previous && previous.type === info.type) previousNames.set(info.hash, previous.path.split('/').pop());
+        });
+    }
+
+    const selected = [...validatedAssets.files]
+        .filter(([hash]) => getAssetChoice(hash).selected)
+        .map(([hash, file]) => {
+            const { name } = getAssetChoice(hash);
+            const optimized = getOptimizedImage(hash);
+            const chosenName = name || previousNames.get(hash) || file.name;
+            return {
+                hash,
+                ...file,
+                // Re-encoded images are stored with the extension of their new format
+                name: optimized ? replaceExtension(chosenName, MIME_TYPES[optimized.mime].extensions[0]) : chosenName,
+                blob: optimized ? optimized.blob : file.blob,
+                fixed: !name && previousNames.has(hash)
+            };
+        });
+
+    // Names are unique per folder: types may share one in the current layout
+    const names = assignPackagedNames(selected, devpackLayout); // hash -> final file name
+
+    selected.forEach(file => zipContent[file.type].set(names.get(file.hash), file.blob));
+    validatedAssets.urls.forEach((info, url) => {
+        if (!names.has(info.hash)) return;
+
+        const optimized = getOptimizedImage(info.hash);
+        assetUrlMap.set(url, {
+            ...info,
+            filename: names.get(info.hash),
+            ...(optimized ? { mime: optimized.mime, size: optimized.size, optimizedFrom: { mime: optimized.originalMime, size: optimized.originalSize } } : {})
+        });
+    });
+}
+
+/**
+ * Updates checkboxes, names and counts in the preview after choices changed,
+ * without re-rendering (keeps open sections and scroll position).
+ */
+function syncAssetControls() {
+    previewBox.querySelectorAll('.js-asset-select').forEach(checkbox => {
+        checkbox.checked = getAssetChoice(checkbox.dataset.hash).selected;
+        checkbox.closest('.js-asset-item').classList.toggle('is-excluded', !checkbox.checked);
+    });
+    previewBox.querySelectorAll('.js-asset-name').forEach(input => {
+        input.value = getPackagedFileName(input.dataset.hash);
+    });
+    previewBox.querySelectorAll('.js-selected-count').forEach(counter => {
+        counter.textContent = countSelected(scanDetails.assetData[counter.dataset.type]);
+    });
+}
+
+/**
+ * Returns the file name an asset gets in the devpack (or would get, when deselected).
+ * @param {string} hash
+ * @returns {string}
+ */
+function getPackagedFileName(hash) {
+    const packaged = [...assetUrlMap.values()].find(info => info.hash === hash);
+    return packaged ? packaged.filename : (getAssetChoice(hash).name || validatedAssets.files.get(hash).name);
+}
+
+/**
+ * Counts the downloaded assets of a category that are selected for the devpack.
+ * @param {Set} urls
+ * @returns {number}
+ */
+function countSelected(urls) {
+    return [...urls].filter(url => assetUrlMap.has(url)).length;
+}
+
+/**
+ * Downloads asset URLs pasted by the user and adds them to the scan results.
+ * Types are guessed from the URL, then corrected from the downloaded content.
+ */
+async function addManualAssets() {
+    const baseUrl = getBaseUrlOptions().baseUrl || null;
+    const urls = manualUrlsInput.value.split(/\s+/).filter(Boolean).map(url => resolveAssetUrl(url, baseUrl));
+    if (urls.length === 0) {
+        alert('Please paste at least one asset URL.');
+        return;
     }
 
-    return assets;
+    // Manual additions work without a scan too
+    if (!scanDetails) {
+        scanDetails = {
+            scannedAt: new Date().toISOString(),
+            include: {},
+            maxDepth: 0,
+            baseUrl: baseUrl || '',
+            assetData: { images: new Set(), gifs: new Set(), videos: new Set(), css: new Set(), js: new Set(), fonts: new Set() },
+            occurrences: new Map(),
+            excluded: new Map(),
+            statuses: new Map(),
+            discovered: new Map(),
+            parents: new Map(),
+            failed: [],
+            cancelled: false
+        };
+        validatedAssets = { files: new Map(), urls: new Map() };
+    }
+
+    const manualAssets = { images: new Set(), gifs: new Set(), videos: new Set(), css: new Set(), js: new Set(), fonts: new Set() };
+    urls.forEach(url => {
+        const type = getAssetType(url) || 'images';
+        manualAssets[type].add(url);
+        scanDetails.assetData[type].add(url);
+    });
+
+    addUrlsBtn.disabled = true;
+    const result = await validateAndFetchAssets(manualAssets, {
+        include: scanDetails.include,
+        maxDepth: scanDetails.maxDepth,
+        ...getDownloadOptions(),
+        onStatus: (url, status, detail = '') => {
+            scanDetails.statuses.set(url, { status, detail });
+            renderScanProgress(scanDetails.statuses);
+        }
+    });
+    addUrlsBtn.disabled = false;
+
+    mergeValidationResult(result);
+    refreshAssetPreview();
+    scheduleSessionSave();
+    manualUrlsInput.value = '';
+    resultBox.innerText = `Added ${result.urls.size} of ${urls.length} URL(s)${result.failed.length ? `, ${result.failed.length} failed` : ''}. Click download to proceed.`;
 }
 
 
@@ -241,21 +975,179 @@ async function extractAssetsFromFiles(files, include) {
 /**
  * Displays found assets in collapsible UI format by type.
  * @param {Object} assetData
+ * @param {Object} [details]
+ * @param {Map} [details.discovered] Dependency URL -> { type, parent } from the dependency crawl
+ * @param {Map} [details.parents] Dependency URL -> Set of every asset referencing it, see validateAndFetchAssets
+ * @param {Map} [details.occurrences] Asset URL -> [{ file, line, column, snippet }] in the uploaded files
+ * @param {Map} [details.excluded] Asset URL -> { type, occurrences } for types the filters left out
+ * @param {Map} [details.statuses] Asset URL -> { status, detail } from the download queue
  */
-function renderAssetPreview(assetData) {
+function renderAssetPreview(assetData, { discovered = new Map(), parents = new Map(), occurrences = new Map(), excluded = new Map(), statuses = new Map() } = {}) {
+    previewSources = { occurrences, discovered, excluded };
+
+    // Download status badge, updated live while the queue runs
+    const statusBadge = (url) => {
+        const { status = 'queued', detail = '' } = statuses.get(url) || {};
+        return `<span class="asset-status js-asset-status" data-url="${escapeHtml(url)}" data-status="${status}" title="${escapeHtml(detail)}">${status}</span>`;
+    };
+
+    // Shows where an asset came from: the fetched asset that pulled it in, or file:line in the uploads.
+    // Clicking it opens the provenance panel with the code excerpts.
+    const parentNote = (url) => {
+        const dependency = discovered.get(url);
+        if (dependency) {
+            return `<button type="button" class="preview-parent js-asset-provenance" data-url="${escapeHtml(url)}" title="${escapeHtml(dependency.parent)}">via ${escapeHtml(getFileName(dependency.parent))}</button>`;
+        }
+
+        const found = occurrences.get(url) || (excluded.get(url) || {}).occurrences || [];
+        if (found.length === 0) return '';
+        const locations = found.map(({ file, line }) => `${file}:${line}`);
+        const more = found.length > 1 ? ` +${found.length - 1}` : '';
+        return `<button type="button" class="preview-parent js-asset-provenance" data-url="${escapeHtml(url)}" title="${escapeHtml(locations.join('\n'))}">${escapeHtml(locations[0])}${more}</button>`;
+    };
+
+    // Checkbox + editable target name, once the asset is downloaded
+    const assetControls = (url) => {
+        const info = validatedAssets && validatedAssets.urls.get(url);
+        if (!info) return '';
+        return `
+          <div class="asset-controls">
+            <input type="checkbox" class="js-asset-select" data-hash="${info.hash}" ${getAssetChoice(info.hash).selected ? 'checked' : ''} title="Include in devpack" />
+            <input type="text" class="asset-controls__name js-asset-name" data-hash="${info.hash}" value="${escapeHtml(getPackagedFileName(info.hash))}" title="File name in the devpack" />
+          </div>${optimizationNote(info.hash)}`;
+    };
+
+    // Before/after sizes of optimized images
+    const optimizationNote = (hash) => {
+        const result = optimizedImages.get(hash);
+        if (!result) return '';
+        if (result.error) {
+            return `<small class="asset-optimized is-failed" title="${escapeHtml(result.error)}">Not optimized</small>`;
+        }
+        return `<small class="asset-optimized ${result.kept ? 'is-kept' : ''}">${formatBytes(result.originalSize)} → ${formatBytes(result.size)}${result.kept ? ' · original kept (smaller)' : ` · ${MIME_TYPES[result.mime].extensions[0].toUpperCase()}`}</small>`;
+    };
+    const itemState = (url) => {
+        const info = validatedAssets && validatedAssets.urls.get(url);
+        return info && !getAssetChoice(info.hash).selected ? 'is-excluded' : '';
+    };
+
+    // Bulk select / deselect per category
+    const toolbar = (type, items) => {
+        if (!validatedAssets || ![...items].some(url => validatedAssets.urls.has(url))) return '';
+        return `
+          <div class="preview-toolbar">
+            <span><span class="js-selected-count" data-type="${type}">${countSelected(items)}</span> selected</span>
+            <button type="button" class="preview-toolbar__btn js-asset-bulk" data-type="${type}" data-select="true">Select all</button>
+            <button type="button" class="preview-toolbar__btn js-asset-bulk" data-type="${type}" data-select="false">Deselect all</button>
+          </div>`;
+    };
+
+    // Assets used by a single variation, and those shared by several (packaged once)
+    const variationSection = () => {
+        const types = new Map(Object.entries(assetData).flatMap(([type, items]) => [...items].map(url => [url, type])));
+        const usedBy = getAssetVariations([...types.keys()], variationNames, { occurrences, discovered, parents });
+        const groups = [...variationNames, null].map(variation => ({
+            variation,
+            urls: [...types.keys()].filter(url => {
+                const [only, ...others] = usedBy.get(url);
+                return (others.length === 0 && only ? only : null) === variation;
+            })
+        }));
+
+        return `
+        <details class="preview-section">
+          <summary class="preview-summary">BY VARIATION (${variationNames.length})</summary>
+          ${groups.map(({ variation, urls }) => `
+            <div class="preview-variation">
+              <strong>${variation ? escapeHtml(variation) : 'Shared'} (${urls.length})</strong>
+              <ul class="preview-list">
+                ${urls.map(url => `<li class="${itemState(url)}"><small class="preview-type">${types.get(url)}</small><a href="${escapeHtml(getPreviewUrl(url))}" target="_blank" title="${escapeHtml(url)}">${escapeHtml(getFileName(url))}</a>${parentNote(url)}</li>`).join('')}
+              </ul>
+            </div>
+          `).join('')}
+        </details>
+      `;
+    };
+
+    // Reverse view: every asset each uploaded file pulls in (dependencies included) and what became of it
+    const sourceSection = () => {
+        const types = new Map([
+            ...[...excluded].map(([url, { type }]) => [url, type]),
+            ...Object.entries(assetData).flatMap(([type, items]) => [...items].map(url => [url, type]))
+        ]);
+        const byFile = new Map(collectedFiles.map(file => [file.name, new Set()]));
+        [...types.keys()].forEach(url => {
+            const found = (occurrences.get(getRootAssetUrl(url, discovered)) || []).concat((excluded.get(url) || {}).occurrences || []);
+            found.forEach(({ file }) => {
+                if (!byFile.has(file)) byFile.set(file, new Set());
+                byFile.get(file).add(url);
+            });
+        });
+
+        const item = (url) => {
+            const { status, label, detail } = getAssetOutcome(url, { excluded, statuses });
+            return `<li class="${itemState(url)}"><span class="asset-status" data-status="${status}" title="${escapeHtml(detail)}">${label}</span><small class="preview-type">${types.get(url)}</small><a href="${escapeHtml(getPreviewUrl(url))}" target="_blank" title="${escapeHtml(url)}">${escapeHtml(getFileName(url))}</a>${parentNote(url)}</li>`;
+        };
+        const counts = (urls) => Object.entries(groupBy([...urls].map(url => getAssetOutcome(url, { excluded, statuses })), 'label'))
+            .map(([label, outcomes]) => `${outcomes.length} ${label}`)
+            .join(', ');
+
+        return `
+        <details class="preview-section">
+          <summary class="preview-summary">BY SOURCE FILE (${byFile.size})</summary>
+          ${[...byFile].map(([file, urls]) => `
+            <details class="preview-source">
+              <summary class="preview-source__summary"><strong>${escapeHtml(file)}</strong> <small>${urls.size} asset(s)${urls.size ? `: ${counts(urls)}` : ''}</small></summary>
+              <ul class="preview-list">
+                ${[...urls].map(item).join('')}
+              </ul>
+            </details>
+          `).join('')}
+        </details>
+      `;
+    };
+
     let html = `<p><strong>Assets Detected:</strong></p>`;
+    html += '<div class="preview-provenance js-provenance" hidden></div>';
+    if (variationNames.length > 0) html += variationSection();
+    if (collectedFiles.length > 0) html += sourceSection();
 
     Object.entries(assetData).forEach(([type, items]) => {
         const label = `${type.toUpperCase()} (${items.size})`;
 
-        if (type === 'images') {
+        if (type === 'images' || type === 'gifs') {
+            html += `
+        <details class="preview-section">
+          <summary class="preview-summary">${label}</summary>
+          ${toolbar(type, items)}
+          <div class="preview-grid">
+            ${[...items].map(url => `
+              <div class="preview-card js-asset-item ${itemState(url)}">
+                <div class="preview-thumb js-image-thumb" data-url="${escapeHtml(getPreviewUrl(url))}">
+                  <img src="${escapeHtml(getPreviewUrl(url))}" alt="" loading="lazy" />
+                  ${statusBadge(url)}
+                  ${parentNote(url)}
+                </div>
+                ${assetControls(url)}
+              </div>
+            `).join('')}
+          </div>
+        </details>
+      `;
+        } else if (type === 'videos') {
             html += `
         <details class="preview-section">
           <summary class="preview-summary">${label}</summary>
+          ${toolbar(type, items)}
           <div class="preview-grid">
             ${[...items].map(url => `
-              <div class="preview-thumb js-image-thumb" data-url="${url}">
-                <img src="${url}" alt="" />
+              <div class="preview-card js-asset-item ${itemState(url)}">
+                <div class="preview-thumb preview-thumb--video">
+                  <video src="${escapeHtml(getPreviewUrl(url))}" preload="metadata" muted controls></video>
+                  ${statusBadge(url)}
+                  ${parentNote(url)}
+                </div>
+                ${assetControls(url)}
               </div>
             `).join('')}
           </div>
@@ -265,9 +1157,10 @@ function renderAssetPreview(assetData) {
             html += `
         <details class="preview-section">
           <summary class="preview-summary">${label}</summary>
+          ${toolbar(type, items)}
           <ul class="preview-list">
             ${[...items].map(url => `
-              <li><a href="${url}" target="_blank">${url}</a></li>
+              <li class="js-asset-item ${itemState(url)}">${statusBadge(url)}<a href="${escapeHtml(getPreviewUrl(url))}" target="_blank">${escapeHtml(url)}</a>${parentNote(url)}${assetControls(url)}</li>
             `).join('')}
           </ul>
         </details>
@@ -278,28 +1171,141 @@ function renderAssetPreview(assetData) {
     previewBox.innerHTML = html;
 }
 
-
-/*  ==================================================
-    RENDER FAILED DOWNLOADS UI LOGIC
-    ================================================== */
 /**
- * Displays asset links that failed to download.
- * @param {Array} failedList
+ * URL to show an asset in the preview: extracted inline assets get an object URL of their content.
+ * @param {string} url
+ * @returns {string}
  */
-function renderFailedAssets(failedList) {
-    const grouped = groupBy(failedList, 'type');
+function getPreviewUrl(url) {
+    if (!isInlineAssetKey(url) || inlinePreviewUrls.has(url)) {
+        return inlinePreviewUrls.get(url) || url;
+    }
 
-    let html = `
-    <details class="preview-section preview-section--error">
-      <summary class="preview-summary">❌ Failed Downloads (${failedList.length})</summary>
+    const info = validatedAssets && validatedAssets.urls.get(url);
+    if (!info) return '';
+
+    inlinePreviewUrls.set(url, URL.createObjectURL(validatedAssets.files.get(info.hash).blob));
+    return inlinePreviewUrls.get(url);
+}
+
+
+/*  ==================================================
+    ASSET PROVENANCE LOGIC
+    ================================================== */
+previewBox.addEventListener('click', (e) => {
+    const provenanceBtn = e.target.closest('.js-asset-provenance');
+    if (provenanceBtn) {
+        // Inside image thumbnails too, where a click would otherwise open the image modal
+        e.stopPropagation();
+        renderProvenance(provenanceBtn.dataset.url);
+        return;
+    }
+
+    const closeBtn = e.target.closest('.js-provenance-close');
+    if (closeBtn) closeBtn.closest('.js-provenance').hidden = true;
+});
+
+/**
+ * Fills the provenance panel for one asset: the chain of fetched assets that pulled it in, and
+ * every place in the uploaded files it is referenced, with the line highlighted.
+ * @param {string} url
+ */
+function renderProvenance(url) {
+    const panel = previewBox.querySelector('.js-provenance');
+    if (!panel || !previewSources) return;
+
+    const { occurrences, discovered, excluded } = previewSources;
+    const chain = [];
+    for (let current = url; discovered.has(current); current = discovered.get(current).parent) {
+        chain.push(discovered.get(current).parent);
+    }
+    const rootUrl = chain.length > 0 ? chain[chain.length - 1] : url;
+    const found = occurrences.get(rootUrl) || (excluded.get(rootUrl) || {}).occurrences || [];
+    const { label, detail } = getAssetOutcome(url, { excluded, statuses: scanDetails ? scanDetails.statuses : new Map() });
+
+    panel.innerHTML = `
+      <div class="preview-provenance__head">
+        <strong title="${escapeHtml(url)}">${escapeHtml(getFileName(url))}</strong>
+        <span class="preview-provenance__status">${label}${detail ? ` — ${escapeHtml(detail)}` : ''}</span>
+        <button type="button" class="preview-toolbar__btn js-provenance-close">Close</button>
+      </div>
+      <p class="preview-provenance__url">${escapeHtml(url)}</p>
+      ${chain.length > 0 ? `<p class="preview-provenance__chain">Pulled in by ${chain.map(parent => `<a href="${escapeHtml(parent)}" target="_blank" title="${escapeHtml(parent)}">${escapeHtml(getFileName(parent))}</a>`).join(' ← ')}</p>` : ''}
+      <p><strong>Referenced ${found.length} time(s) in the uploaded files${chain.length > 0 ? ` (as ${escapeHtml(getFileName(rootUrl))})` : ''}:</strong></p>
+      <ol class="preview-provenance__list">
+        ${found.map(({ file, line, column, snippet }) => `
+          <li>
+            <span class="preview-provenance__location">${escapeHtml(file)}:${line}:${column}</span>
+            ${snippet ? `<pre class="preview-provenance__code"><code><span class="preview-provenance__line">${line}</span>${escapeHtml(snippet.before)}<mark>${escapeHtml(snippet.match)}</mark>${escapeHtml(snippet.after)}</code></pre>` : ''}
+          </li>
+        `).join('')}
+      </ol>
+    `;
+    panel.hidden = false;
+    panel.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * The asset a dependency was found through, followed up to the one referenced in the uploads.
+ * @param {string} url
+ * @param {Map} discovered Dependency URL -> { type, parent }
+ * @returns {string}
+ */
+function getRootAssetUrl(url, discovered) {
+    let current = url;
+    while (discovered.has(current)) current = discovered.get(current).parent;
+    return current;
+}
+
+/**
+ * What became of an asset: packaged, left out (by a type filter or deselected), or its download status.
+ * @param {string} url
+ * @param {Object} details { excluded, statuses }, see renderAssetPreview
+ * @returns {{status: string, label: string, detail: string}} status matches the .asset-status styles
+ */
+function getAssetOutcome(url, { excluded, statuses }) {
+    const info = validatedAssets && validatedAssets.urls.get(url);
+    if (info) {
+        return getAssetChoice(info.hash).selected
+            ? { status: 'done', label: 'fetched', detail: `Packaged as ${getPackagedFileName(info.hash)}` }
+            : { status: 'deselected', label: 'deselected', detail: 'Left out of the devpack' };
+    }
+    if (excluded.has(url)) {
+        return { status: 'excluded', label: 'excluded', detail: `The ${excluded.get(url).type.toUpperCase()} filter is off` };
+    }
+
+    const { status = 'queued', detail = '' } = statuses.get(url) || {};
+    return { status, label: status, detail };
+}
+
+
+/*  ==================================================
+    RENDER FAILED DOWNLOADS UI LOGIC
+    ================================================== */
+/**
+ * Displays asset links that failed to download.
+ * @param {Array} failedList
+ */
+function renderFailedAssets(failedList) {
+    const grouped = groupBy(failedList, 'type');
+
+    let html = `
+    <details class="preview-section preview-section--error">
+      <summary class="preview-summary">❌ Failed Downloads (${failedList.length})</summary>
       ${Object.entries(grouped).map(([type, list]) => `
         <div>
           <strong>${type.toUpperCase()} (${list.length}):</strong>
           <ul class="preview-list error-list">
             ${list.map(item => `
-              <li>
-                ${item.url} — <em>${item.reason}</em>
-                <a href="${item.url}" target="_blank">Try manually</a>
+              <li class="js-failed-item" data-url="${escapeHtml(item.url)}" data-type="${type}">
+                ${escapeHtml(item.url)} — <em>${escapeHtml(item.reason)}</em>
+                ${item.tried ? `<small class="preview-tried">tried: ${item.tried.map(path => path === 'proxy' ? 'CORS proxy' : path).join(' → ')}</small>` : ''}
+                ${item.parent ? `<small class="preview-parent" title="${escapeHtml(item.parent)}">via ${escapeHtml(getFileName(item.parent))}</small>` : ''}
+                <a href="${escapeHtml(item.url)}" target="_blank">Try manually</a>
+                <label class="provide-file" title="Use a local copy of this asset (or drop it on this row)">
+                  Provide file
+                  <input type="file" class="js-provide-file" hidden />
+                </label>
               </li>
             `).join('')}
           </ul>
@@ -311,96 +1317,279 @@ function renderFailedAssets(failedList) {
     previewBox.innerHTML += html;
 }
 
+// Provide a local copy for a failed asset, via the file picker...
+previewBox.addEventListener('change', (e) => {
+    const input = e.target.closest('.js-provide-file');
+    if (!input || input.files.length === 0) return;
+
+    const item = input.closest('.js-failed-item');
+    provideAssetFile(item.dataset.url, item.dataset.type, input.files[0]);
+});
+
+// ...or by dropping it onto the failed row
+previewBox.addEventListener('dragover', (e) => {
+    const item = e.target.closest('.js-failed-item');
+    if (!item) return;
+
+    e.preventDefault();
+    item.classList.add('is-dragover');
+});
+previewBox.addEventListener('dragleave', (e) => {
+    const item = e.target.closest('.js-failed-item');
+    if (item) item.classList.remove('is-dragover');
+});
+previewBox.addEventListener('drop', (e) => {
+    const item = e.target.closest('.js-failed-item');
+    if (!item) return;
+
+    e.preventDefault();
+    item.classList.remove('is-dragover');
+    if (e.dataTransfer.files.length > 0) {
+        provideAssetFile(item.dataset.url, item.dataset.type, e.dataTransfer.files[0]);
+    }
+});
+
 /**
- * Groups an array of objects by key.
+ * Stores a user-provided file for an asset URL that failed to download,
+ * exactly as if it had been fetched: same type detection and naming, mapped to the original URL.
+ * @param {string} url The URL that failed
+ * @param {string} type The asset type the URL was scanned as
+ * @param {File} file The local replacement
  */
-function groupBy(arr, key) {
-    return arr.reduce((acc, item) => {
-        (acc[item[key]] ||= []).push(item);
-        return acc;
-    }, {});
+async function provideAssetFile(url, type, file) {
+    let asset;
+    try {
+        asset = await identifyAsset(file, url, type);
+    } catch (err) {
+        alert(`${file.name}: ${err.message}`);
+        return;
+    }
+
+    const hash = await hashBlob(asset.blob);
+    const existing = validatedAssets.files.get(hash);
+    const filename = existing ? existing.name : asset.name;
+
+    mergeValidationResult({
+        valid: { [asset.type]: new Map([[filename, asset.blob]]) },
+        urls: new Map([[url, { type: asset.type, filename, hash, mime: asset.mime, size: asset.blob.size, provided: true }]]),
+        discovered: new Map(),
+        parents: new Map(),
+        failed: []
+    });
+    scanDetails.statuses.set(url, { status: 'done', detail: `Provided from ${file.name}` });
+    refreshAssetPreview();
+    scheduleSessionSave();
+    resultBox.innerText = `Using ${file.name} for ${url}.`;
 }
 
 
 /*  ==================================================
-    VALIDATE ASSET URLS VIA FETCH() LOGIC
+    ASSET AUDIT UI LOGIC
     ================================================== */
+// Labels of the audit rules (see auditAssets)
+const AUDIT_RULE_LABELS = {
+    oversized: 'Over budget',
+    total: 'Total size',
+    'mixed-content': 'Mixed content',
+    duplicate: 'Duplicate content',
+    'uncompressed-font': 'Uncompressed font',
+    'missing-format': 'Missing format',
+    dimensions: 'Image dimensions'
+};
+
+// Re-check when a budget changes
+budgetInputs.forEach(input => input.addEventListener('input', () => runAudit()));
+// Rewriting references decides whether http:// assets are still loaded remotely
+localizeCheckbox.addEventListener('change', () => runAudit());
+
 /**
- * Fetches each URL and keeps only those that can be downloaded.
+ * Reads the size budgets (KB) from the UI, falling back to the defaults.
+ * @returns {Object} See AUDIT_BUDGETS
  */
-async function validateAndFetchAssets(assets) {
-    const result = {
-        valid: {
-            images: new Map(),
-            fonts: new Map(),
-            css: new Map(),
-            js: new Map()
-        },
-        failed: []
-    };
+function getAuditBudgets() {
+    const budgets = { ...AUDIT_BUDGETS };
+    budgetInputs.forEach(input => {
+        budgets[input.dataset.budget] = readNumberInput(input, AUDIT_BUDGETS[input.dataset.budget]);
+    });
+    return budgets;
+}
 
-    const assetNameTracker = new Set(); // separate from uploadedFileSet
+/**
+ * Audits the assets selected for the devpack and shows the findings in the preview.
+ * @returns {Promise<Array>} The issues, see auditAssets
+ */
+async function runAudit() {
+    const run = ++auditRun;
+    if (!scanDetails || !assetUrlMap) return [];
+
+    const issues = await auditAssets({
+        zipContent,
+        assetUrlMap,
+        urls: Object.values(scanDetails.assetData).flatMap(urls => [...urls]),
+        occurrences: scanDetails.occurrences,
+        sourceFiles: collectedFiles,
+        budgets: getAuditBudgets(),
+        localize: localizeCheckbox.checked
+    });
 
-    const generateUniqueName = (url) => {
-        let base = url.split('/').pop().split('?')[0].split('#')[0];
-        let name = base;
-        let i = 1;
-        while (assetNameTracker.has(name)) {
-            name = `duplicate-${i++}-${base}`;
-        }
-        assetNameTracker.add(name);
-        return name;
-    };
+    const container = previewBox.querySelector('.js-audit');
+    if (run === auditRun && container) renderAuditResults(container, issues);
+    return issues;
+}
 
-    const allFetches = [];
+/**
+ * Displays audit findings, errors first.
+ * @param {HTMLElement} container
+ * @param {Array} issues See auditAssets
+ */
+function renderAuditResults(container, issues) {
+    const errors = issues.filter(issue => issue.level === 'error').length;
+    const warnings = issues.length - errors;
+
+    container.innerHTML = `
+    <details class="preview-section preview-section--audit" ${errors > 0 ? 'open' : ''}>
+      <summary class="preview-summary">${issues.length === 0 ? '✅ Audit passed' : `🔎 Audit: ${errors} error(s), ${warnings} warning(s)`}</summary>
+      ${issues.length === 0 ? '<p class="preview-audit__empty">No budget, mixed content, duplicate, font or image size issues found.</p>' : `
+      <ul class="preview-list preview-audit">
+        ${issues.map(issue => `
+          <li class="preview-audit__item is-${issue.level}">
+            <span class="preview-audit__level">${issue.level}</span>
+            <strong>${AUDIT_RULE_LABELS[issue.rule] || issue.rule}</strong>
+            <span title="${escapeHtml(issue.urls.join('\n'))}">${escapeHtml(issue.message)}</span>
+          </li>
+        `).join('')}
+      </ul>`}
+    </details>
+  `;
+}
 
-    for (const [type, urls] of Object.entries(assets)) {
-        for (let rawUrl of urls) {
-            let url = rawUrl.trim();
 
-            // Fix protocol-relative URLs (e.g. //cdn.jsdelivr.net)
-            if (url.startsWith('//')) {
-                url = 'https:' + url;
-            }
+/*  ==================================================
+    IMAGE OPTIMIZATION LOGIC (WEB WORKER)
+    ================================================== */
+const OPTIMIZABLE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/avif'];
+const OPTIMIZED_FORMATS = {
+    webp: 'image/webp',
+    avif: 'image/avif',
+    jpeg: 'image/jpeg'
+};
+
+[optimizeCheckbox, optimizeMaxInput, optimizeFormatSelect, optimizeQualityInput].forEach(input =>
+    input.addEventListener('change', () => optimizeImages())
+);
+
+/**
+ * Reads the optimization settings from the UI.
+ * @returns {Object|null} { maxDimension, mime, quality }, or null when optimization is off
+ */
+function getOptimizationSettings() {
+    if (!optimizeCheckbox.checked) return null;
+
+    return {
+        maxDimension: readNumberInput(optimizeMaxInput, 1600) || 1600,
+        mime: OPTIMIZED_FORMATS[optimizeFormatSelect.value] || 'image/webp',
+        quality: Math.min(readNumberInput(optimizeQualityInput, 80), 100) / 100
+    };
+}
 
-            // Skip invalid/local URLs
-            if (!/^https?:\/\//.test(url)) {
-                result.failed.push({
-                    url: rawUrl,
-                    type,
-                    reason: 'Unsupported or local path'
-                });
-                continue;
+/**
+ * Resizes and re-encodes every downloaded raster image with the current settings (SVG, GIF
+ * and video are left alone). Results replace the originals in zipContent only when smaller.
+ * A newer run supersedes one still in progress.
+ * @returns {Promise<void>}
+ */
+function optimizeImages() {
+    const settings = getOptimizationSettings();
+    const run = {};
+    optimizationRun = run;
+
+    run.promise = (async () => {
+        const results = new Map(); // hash -> { blob, mime, size, originalSize, originalMime, kept, error }
+
+        if (settings && validatedAssets) {
+            const images = [...validatedAssets.files]
+                .filter(([, file]) => file.type === 'images' && OPTIMIZABLE_IMAGE_TYPES.includes(file.mime));
+
+            let done = 0;
+            for (const [hash, file] of images) {
+                if (optimizationRun !== run) return;
+                resultBox.innerText = `Optimizing images… ${done++} of ${images.length}`;
+
+                const original = { originalSize: file.blob.size, originalMime: file.mime };
+                try {
+                    const blob = await runImageWorker({ blob: file.blob, ...settings });
+                    results.set(hash, { ...original, blob, mime: blob.type, size: blob.size, kept: blob.size >= file.blob.size });
+                } catch (err) {
+                    results.set(hash, { ...original, error: err.message });
+                }
             }
+        }
 
-            const fetchPromise = fetch(url)
-                .then(async (res) => {
-                    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-                    const blob = await res.blob();
-                    const filename = generateUniqueName(url);
-                    result.valid[type].set(filename, blob);
-                })
-                .catch(err => {
-                    result.failed.push({
-                        url,
-                        type,
-                        reason: err.message
-                    });
-                });
-
-            allFetches.push(fetchPromise);
+        if (optimizationRun !== run) return;
+        optimizedImages = results;
+        applyAssetChoices();
+        if (scanDetails) refreshAssetPreview();
+
+        const optimized = [...results.values()].filter(result => result.blob && !result.kept);
+        if (settings && results.size > 0) {
+            const before = optimized.reduce((total, result) => total + result.originalSize, 0);
+            const after = optimized.reduce((total, result) => total + result.size, 0);
+            resultBox.innerText = `Optimized ${optimized.length} of ${results.size} image(s): ${formatBytes(before)} → ${formatBytes(after)}. Click download to proceed.`;
         }
+    })();
+
+    return run.promise;
+}
+
+/**
+ * Returns the optimized version of a stored image, if it is smaller than the original.
+ * @param {string} hash
+ * @returns {{blob: Blob, mime: string, size: number, originalSize: number, originalMime: string}|null}
+ */
+function getOptimizedImage(hash) {
+    const result = optimizedImages.get(hash);
+    return result && result.blob && !result.kept ? result : null;
+}
+
+/**
+ * Sends one image to the optimization worker (started on first use).
+ * @param {Object} job { blob, maxDimension, mime, quality }
+ * @returns {Promise<Blob>}
+ */
+function runImageWorker(job) {
+    if (!imageWorker) {
+        imageWorker = new Worker('js/image-worker.js');
+        imageWorker.addEventListener('message', (e) => {
+            const { id, blob, error } = e.data;
+            const pending = imageJobs.get(id);
+            imageJobs.delete(id);
+            if (error) {
+                pending.reject(new Error(error));
+            } else {
+                pending.resolve(blob);
+            }
+        });
+
+        // The worker could not start (e.g. opened from file://): fail everything waiting on it
+        imageWorker.addEventListener('error', (e) => {
+            imageJobs.forEach(pending => pending.reject(new Error(e.message || 'Image worker failed to start')));
+            imageJobs.clear();
+            imageWorker = null;
+        });
     }
 
-    await Promise.all(allFetches);
-    return result;
+    return new Promise((resolve, reject) => {
+        const id = ++imageJobCounter;
+        imageJobs.set(id, { resolve, reject });
+        imageWorker.postMessage({ id, ...job });
+    });
 }
 
 
 /*  ==================================================
     ZIP DOWNLOAD MODAL INPUTS LOGIC
     ================================================== */
-[testNameInput].forEach(input =>
+[testNameInput, testNumberInput].forEach(input =>
     input.addEventListener('input', validateInputs)
 );
 
@@ -415,8 +1604,13 @@ function validateInputs() {
 
     testNameInput.value = name;
 
+    // Test number: same characters, required only when the layout names something with {number}
+    const number = testNumberInput.value.trim().replace(/[^a-zA-Z0-9-]/g, '');
+    testNumberInput.value = number;
+    testNumberInput.required = layoutUsesToken('number');
+
     // Accept uppercase, lowercase, numbers, hyphens, and long text
-    const isValid = /^[a-zA-Z0-9-]+$/.test(name) && name.length > 0;
+    const isValid = /^[a-zA-Z0-9-]+$/.test(name) && name.length > 0 && (number.length > 0 || !testNumberInput.required);
     generateBtn.disabled = !isValid;
 }
 
@@ -440,154 +1634,957 @@ downloadBtn.addEventListener('click', () => {
     ZIP GENERATION LOGIC
     ================================================== */
 generateBtn.addEventListener('click', async () => {
-    const name = testNameInput.value.trim();
-    const date = new Date().toLocaleDateString('en-GB', {
-        day: '2-digit',
-        month: 'long',
-        year: 'numeric'
-    }).replace(/ /g, '-').toLowerCase();
+    // Package the optimized images, not the originals, when a run is still going
+    if (optimizationRun) await optimizationRun.promise;
+    // Uploaded files only (nothing scanned yet): package them with no assets
+    if (!zipContent) applyAssetChoices();
+
+    if (auditBlockCheckbox.checked) {
+        const errors = (await runAudit()).filter(issue => issue.level === 'error');
+        if (errors.length > 0) {
+            alert(`The audit found ${errors.length} error(s):\n\n${errors.map(issue => `• ${issue.message}`).join('\n')}\n\nFix them, raise the budgets or turn off "Block download on audit errors".`);
+            return;
+        }
+    }
 
-    const filename = `Devpack-${name}-${date}.zip`;
-    const folderName = `${name}-devpack`;
+    const assetBaseUrl = bundleBaseUrlInput.value.trim();
+    if (bundleCheckbox.checked && assetBaseUrl && !/^https?:\/\/[^/]/i.test(assetBaseUrl)) {
+        alert('The asset base URL must be an absolute http(s) URL, e.g. https://cdn.example.com/1017/');
+        return;
+    }
 
+    const zip = new JSZip();
+    const options = getPackageOptions();
+    let filename, unresolved, bundles, content;
+    try {
+        ({ filename, unresolved, bundles } = await packageDevpack(zip, options));
+        content = await zip.generateAsync({
+            type: "blob"
+        });
+    } catch (err) {
+        alert(`Could not build the devpack: ${err.message}`);
+        return;
+    }
+    saveAs(content, filename);
+    modal.classList.remove('modal--show');
+
+    if (options.localize) {
+        renderUnresolvedReferences(unresolved);
+    }
+    renderBundleSizes(bundles);
+});
+
+/**
+ * Collects the packageDevpack options from the uploads, scan results, asset choices and settings.
+ * @returns {Object} See packageDevpack
+ */
+function getPackageOptions() {
+    return {
+        name: testNameInput.value.trim(),
+        number: testNumberInput.value.trim(),
+        layout: devpackLayout,
+        zipContent,
+        assetUrlMap,
+        sourceFiles: collectedFiles,
+        variations: variationNames,
+        localize: localizeCheckbox.checked,
+        replaceInline: replaceInlineCheckbox.checked,
+        bundle: bundleCheckbox.checked ? { assetBaseUrl: bundleBaseUrlInput.value.trim(), minify: bundleMinifyCheckbox.checked } : null,
+        baseUrlOptions: getBaseUrlOptions(),
+        downloaded: validatedAssets ? validatedAssets.urls : new Map(),
+        scan: scanDetails,
+        rebuiltFrom: previousDevpack && scanDetails && scanDetails.sourceHashes
+            ? { file: previousDevpack.name, builtAt: previousDevpack.manifest.builtAt, ...getDevpackDiff() }
+            : null
+    };
+}
+
+
+/*  ==================================================
+    OFFLINE DEVPACK PREVIEW (SANDBOXED IFRAME) LOGIC
+    ================================================== */
+// postMessage type the preview page reports its network requests with
+const PREVIEW_MESSAGE_TYPE = 'spz-devpack-preview-request';
+
+previewDevpackBtn.addEventListener('click', openLivePreview);
+liveReloadBtn.addEventListener('click', openLivePreview);
+livePageSelect.addEventListener('change', renderLivePreview);
+
+liveCloseBtn.addEventListener('click', () => {
+    livePreview = null;
+    liveFrame.srcdoc = '';
+    livePreviewBox.hidden = true;
+});
+
+// Anything the preview loads from outside the devpack is a missing asset
+window.addEventListener('message', (e) => {
+    if (!livePreview || e.source !== liveFrame.contentWindow) return;
+    if (!e.data || e.data.type !== PREVIEW_MESSAGE_TYPE || e.data.run !== livePreview.run) return;
+    if (livePreview.missing.has(e.data.url)) return;
+
+    livePreview.missing.add(e.data.url);
+    renderLiveMissing();
+});
+
+/**
+ * Packages the devpack in memory, as "Download ZIP" would, and opens it in the preview.
+ */
+async function openLivePreview() {
+    if (collectedFiles.length === 0) {
+        alert('Please add files before previewing.');
+        return;
+    }
+
+    if (optimizationRun) await optimizationRun.promise;
+    if (!zipContent) applyAssetChoices();
 
     const zip = new JSZip();
-    const root = zip.folder(folderName);
-
-    // Deduplicate by file content key
-    const fileKeyTracker = new Set();
-    collectedFiles.forEach(file => {
-        const fileKey = `${file.name}-${file.size}-${file.lastModified}`;
-        let baseName = file.name;
-        let i = 1;
-        while (fileKeyTracker.has(fileKey)) {
-            baseName = `duplicate-${i++}-${file.name}`;
+    const options = { ...getPackageOptions(), rebuiltFrom: null, bundle: null };
+    options.name = options.name || 'preview';
+    const { manifest } = await packageDevpack(zip, options);
+
+    // Packaged files by their path inside the devpack root
+    const { folderName } = getDevpackNames(options.name, options.number, options.layout);
+    const root = folderName ? `${folderName}/` : '';
+    const files = new Map(zip.file(/.*/)
+        .filter(entry => entry.name.startsWith(root))
+        .map(entry => [entry.name.slice(root.length), entry]));
+
+    livePreview = {
+        files,
+        sourceFiles: manifest.sourceFiles,
+        dataUris: new Map(), // packaged path -> data: URI with its own references inlined
+        run: livePreview ? livePreview.run : 0,
+        missing: new Set()
+    };
+
+    // The uploaded HTML pages, or a blank page with the uploaded CSS/JS (shared, or per variation)
+    const choices = [
+        ...manifest.sourceFiles.filter(file => /\.html?$/i.test(file.path)).map(({ path }) => [`page:${path}`, path]),
+        ['blank:', 'Blank page + shared CSS/JS'],
+        ...variationNames.map(variation => [`blank:${variation}`, `Blank page + ${variation} CSS/JS`])
+    ];
+    const selected = livePageSelect.value;
+    livePageSelect.innerHTML = choices.map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`).join('');
+    livePageSelect.value = choices.some(([value]) => value === selected) ? selected : choices[0][0];
+
+    livePreviewBox.hidden = false;
+    await renderLivePreview();
+}
+
+/**
+ * Shows the picked page in the sandboxed iframe, every packaged file it uses inlined as a data: URI.
+ */
+async function renderLivePreview() {
+    if (!livePreview) return;
+
+    const [kind, ...rest] = livePageSelect.value.split(':');
+    const value = rest.join(':');
+    let html;
+    let pagePath;
+
+    if (kind === 'page') {
+        pagePath = value;
+        html = await livePreview.files.get(pagePath).async('string');
+    } else {
+        // Blank host page at the devpack root, with the shared files and those of the variation
+        pagePath = 'index.html';
+        const sources = livePreview.sourceFiles.filter(file => !file.variation || file.variation === value);
+        html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+${sources.filter(({ path }) => /\.css$/i.test(path)).map(({ path }) => `<link rel="stylesheet" href="${escapeHtml(path)}">`).join('\n')}
+</head>
+<body>
+${sources.filter(({ path }) => /\.m?js$/i.test(path)).map(({ path }) => `<script ${/\.mjs$/i.test(path) ? 'type="module" ' : ''}src="${escapeHtml(path)}"></script>`).join('\n')}
+</body>
+</html>`;
+    }
+
+    html = await inlinePackagedFiles(html, pagePath, new Set([pagePath]));
+
+    // Report every request the page makes, so those outside the devpack show as missing
+    livePreview.run++;
+    livePreview.missing = new Set();
+    renderLiveMissing();
+    const monitor = getPreviewMonitorScript(livePreview.run);
+    liveFrame.srcdoc = /<head(\s[^>]*)?>/i.test(html)
+        ? html.replace(/<head(\s[^>]*)?>/i, head => head + monitor)
+        : monitor + html;
+}
+
+/**
+ * Replaces references to packaged files with data: URIs of their content.
+ * @param {string} text Content of a packaged file
+ * @param {string} fromPath Its path inside the devpack
+ * @param {Set} visiting Files being inlined (a file referencing one of them back is left as is)
+ * @returns {Promise<string>}
+ */
+async function inlinePackagedFiles(text, fromPath, visiting) {
+    const references = findFileReferences(text, fromPath, null);
+    const dataUris = new Map(); // reference URL -> data: URI
+
+    for (const ref of references) {
+        const path = resolveSourcePath(ref.raw, fromPath);
+        if (!path || !livePreview.files.has(path) || visiting.has(path) || dataUris.has(ref.url)) continue;
+        dataUris.set(ref.url, await getPackagedDataUri(path, visiting));
+    }
+
+    return localizeReferences(text, url => dataUris.get(url) || null, references).text;
+}
+
+/**
+ * Returns a packaged file as a data: URI; HTML, CSS, JS and SVG get their own references inlined first.
+ * @param {string} path Path inside the devpack
+ * @param {Set} visiting See inlinePackagedFiles
+ * @returns {Promise<string>}
+ */
+async function getPackagedDataUri(path, visiting) {
+    if (livePreview.dataUris.has(path)) return livePreview.dataUris.get(path);
+
+    const extension = (path.match(/\.([a-z0-9]+)$/i) || [])[1] || '';
+    const mime = { html: 'text/html', htm: 'text/html', json: 'application/json' }[extension.toLowerCase()]
+        || Object.keys(MIME_TYPES).find(type => MIME_TYPES[type].extensions.includes(extension.toLowerCase()))
+        || 'application/octet-stream';
+    const isText = /^text\/|json|javascript|svg/.test(mime);
+
+    let blob = await livePreview.files.get(path).async('blob');
+    if (isText) {
+        blob = new Blob([await inlinePackagedFiles(await blob.text(), path, new Set([...visiting, path]))]);
+    }
+
+    const dataUri = await blobToDataUri(blob, isText ? `${mime};charset=utf-8` : mime);
+    livePreview.dataUris.set(path, dataUri);
+    return dataUri;
+}
+
+/**
+ * Script run first in the preview page: reports resource loads, failed loads, fetch and XHR
+ * to this window, which lists everything not served from the devpack.
+ * @param {number} run Preview run the reports belong to
+ * @returns {string}
+ */
+function getPreviewMonitorScript(run) {
+    return `<script>(() => {
+  const report = (url) => {
+    if (typeof url !== 'string' || !url) return;
+    try { url = new URL(url, document.baseURI).href; } catch (err) { return; }
+    if (!/^(data|blob|about|javascript):/i.test(url)) parent.postMessage({ type: '${PREVIEW_MESSAGE_TYPE}', run: ${run}, url }, '*');
+  };
+  new PerformanceObserver(list => list.getEntries().forEach(entry => report(entry.name))).observe({ type: 'resource', buffered: true });
+  addEventListener('error', (e) => { if (e.target !== window) report(e.target.currentSrc || e.target.src || e.target.href); }, true);
+  const { fetch } = window;
+  window.fetch = (input, init) => { report(input instanceof Request ? input.url : String(input)); return fetch(input, init); };
+  const { open } = XMLHttpRequest.prototype;
+  XMLHttpRequest.prototype.open = function (method, url, ...rest) { report(String(url)); return open.call(this, method, url, ...rest); };
+})();</script>`;
+}
+
+/**
+ * Lists the requests the preview made outside the devpack.
+ */
+function renderLiveMissing() {
+    const missing = [...livePreview.missing];
+    liveMissingBox.innerHTML = missing.length === 0
+        ? '<p class="devpack__live__ok">✅ No requests outside the devpack so far.</p>'
+        : `
+      <strong>⚠️ Requests outside the devpack (${missing.length}):</strong>
+      <ul class="preview-list error-list">
+        ${missing.map(url => `<li><a href="${escapeHtml(url)}" target="_blank">${escapeHtml(url)}</a></li>`).join('')}
+      </ul>
+    `;
+}
+
+
+/*  ==================================================
+    DEVPACK LAYOUT TEMPLATES & NAMING LOGIC
+    ================================================== */
+const LAYOUT_STORAGE_KEY = 'spz-devpack-layouts';
+
+setDevpackLayout(LAYOUT_PRESETS.default);
+renderLayoutPresets('default');
+
+layoutPresetSelect.addEventListener('change', () => {
+    const preset = getLayoutPresets()[layoutPresetSelect.value];
+    if (preset) setDevpackLayout(preset);
+    deletePresetBtn.disabled = !layoutPresetSelect.value.startsWith('user:');
+});
+
+layoutFields.forEach(input => input.addEventListener('input', () => {
+    devpackLayout = readLayoutFields();
+    layoutPresetSelect.value = 'custom';
+    deletePresetBtn.disabled = true;
+    onLayoutChange();
+}));
+
+[testNameInput, testNumberInput].forEach(input => input.addEventListener('input', renderLayoutPreview));
+
+savePresetBtn.addEventListener('click', () => {
+    const label = (prompt('Name for this layout preset:') || '').trim();
+    if (!label) return;
+
+    const userPresets = getUserLayoutPresets();
+    userPresets[`user:${label}`] = { ...devpackLayout, label };
+    localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(userPresets));
+    renderLayoutPresets(`user:${label}`);
+});
+
+deletePresetBtn.addEventListener('click', () => {
+    const userPresets = getUserLayoutPresets();
+    delete userPresets[layoutPresetSelect.value];
+    localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(userPresets));
+    renderLayoutPresets('custom');
+});
+
+/**
+ * Built-in presets plus the ones saved in this browser (keys prefixed with "user:").
+ * @returns {Object} key -> { label, zipName, rootFolder, folders }
+ */
+function getLayoutPresets() {
+    return { ...LAYOUT_PRESETS, ...getUserLayoutPresets() };
+}
+
+/**
+ * Reads the user-defined presets from localStorage.
+ * @returns {Object}
+ */
+function getUserLayoutPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(LAYOUT_STORAGE_KEY)) || {};
+    } catch (err) {
+        return {};
+    }
+}
+
+/**
+ * Fills the preset dropdown and selects a preset.
+ * @param {string} selected Preset key, or 'custom'
+ */
+function renderLayoutPresets(selected) {
+    layoutPresetSelect.innerHTML = `
+      ${Object.entries(getLayoutPresets()).map(([key, preset]) => `<option value="${escapeHtml(key)}">${escapeHtml(preset.label)}</option>`).join('')}
+      <option value="custom">Custom (unsaved)</option>
+    `;
+    layoutPresetSelect.value = selected;
+    deletePresetBtn.disabled = !selected.startsWith('user:');
+}
+
+/**
+ * Makes a layout the current one and shows it in the layout fields.
+ * @param {Object} layout { zipName, rootFolder, folders }
+ */
+function setDevpackLayout(layout) {
+    devpackLayout = {
+        zipName: layout.zipName,
+        rootFolder: layout.rootFolder,
+        folders: { ...ASSET_FOLDERS, ...layout.folders }
+    };
+
+    layoutFields.forEach(input => {
+        const { field, type } = input.dataset;
+        input.value = field === 'folder' ? devpackLayout.folders[type] : devpackLayout[field];
+    });
+    onLayoutChange();
+}
+
+/**
+ * Reads the layout from the layout fields; folder paths are cleaned up to safe relative paths.
+ * @returns {Object} { zipName, rootFolder, folders }
+ */
+function readLayoutFields() {
+    const layout = { zipName: '', rootFolder: '', folders: {} };
+    layoutFields.forEach(input => {
+        const { field, type } = input.dataset;
+        if (field === 'folder') {
+            layout.folders[type] = sanitizeFilePath(input.value);
+        } else {
+            layout[field] = input.value.trim();
         }
-        fileKeyTracker.add(fileKey);
-        root.file(baseName, file);
     });
+    return layout;
+}
 
-    // Only create folders if there are any assets of that type
-    const hasAssets = (type) => zipContent[type] && zipContent[type].size > 0;
-
-    // Assets folder for images, fonts, videos, gifs, etc.
-    if (hasAssets('images') || hasAssets('fonts') || hasAssets('videos') || hasAssets('gifs')) {
-        const assets = root.folder('assets');
-        // Images
-        if (hasAssets('images')) {
-            const imgFolder = assets.folder('images');
-            const normalizedTracker = new Set();
-            zipContent.images.forEach((blob, filename) => {
-                // Only add if not gif or video
-                if (!/\.(gif|mp4|webm|ogg)$/i.test(filename)) {
-                    const baseFilename = filename.split(/[?#]/)[0];
-                    let finalName = baseFilename;
-                    let i = 1;
-                    while (normalizedTracker.has(finalName)) {
-                        finalName = `duplicate-${i++}-${baseFilename}`;
-                    }
-                    normalizedTracker.add(finalName);
-                    imgFolder.file(finalName, blob);
-                }
-            });
+/**
+ * Folders decide which assets share a directory (and so their unique names); refresh both.
+ */
+function onLayoutChange() {
+    applyAssetChoices();
+    if (validatedAssets) syncAssetControls();
+    renderLayoutPreview();
+}
+
+/**
+ * Shows the ZIP and root folder names the current layout produces.
+ */
+function renderLayoutPreview() {
+    const { filename, folderName } = getDevpackNames(testNameInput.value.trim(), testNumberInput.value.trim(), devpackLayout);
+    layoutPreview.textContent = `${filename} → ${folderName ? `${folderName}/` : '(no root folder)'}`;
+    validateInputs();
+}
+
+
+/**
+ * Whether the current layout names anything with a token (e.g. 'number').
+ * @param {string} token
+ * @returns {boolean}
+ */
+function layoutUsesToken(token) {
+    return [devpackLayout.zipName, devpackLayout.rootFolder].some(template => new RegExp(`\\{${token}(:[^}]*)?\\}`).test(template));
+}
+
+
+/*  ==================================================
+    UNRESOLVED REFERENCES UI LOGIC
+    ================================================== */
+/**
+ * Lists the asset URLs that were left pointing at their remote location.
+ * @param {string[]} urls
+ */
+function renderUnresolvedReferences(urls) {
+    if (urls.length === 0) {
+        resultBox.innerText = 'All asset references were rewritten to local paths.';
+        return;
+    }
+
+    resultBox.innerHTML = `
+    <details class="preview-section preview-section--error">
+      <summary class="preview-summary">⚠️ References left unchanged (${urls.length})</summary>
+      <ul class="preview-list error-list">
+        ${urls.map(url => `
+          <li>${/^https?:\/\//i.test(url) ? `<a href="${escapeHtml(url)}" target="_blank">${escapeHtml(url)}</a>` : escapeHtml(url)}</li>
+        `).join('')}
+      </ul>
+    </details>
+  `;
+}
+
+/**
+ * Adds the size of each injectable bundle written to the result box.
+ * @param {Array<{path: string, size: number, gzipSize: number, sourceFiles: string[], skipped: string[]}>} bundles
+ */
+function renderBundleSizes(bundles) {
+    if (bundles.length === 0) return;
+
+    resultBox.insertAdjacentHTML('beforeend', `
+    <ul class="preview-list preview-bundles">
+      ${bundles.map(({ path, size, gzipSize, sourceFiles, skipped }) => `
+        <li>📦 <strong>${escapeHtml(path)}</strong>: ${formatBytes(size)} (${formatBytes(gzipSize)} gzipped), ${sourceFiles.length} file(s)${skipped.length ? ` · skipped (ES module / SCSS): ${escapeHtml(skipped.join(', '))}` : ''}</li>
+      `).join('')}
+    </ul>
+  `);
+}
+
+
+/*  ==================================================
+    OPEN EXISTING DEVPACK (INCREMENTAL REBUILD) LOGIC
+    ================================================== */
+/**
+ * Loads a devpack ZIP built by this app and rescans it: source files come back with their
+ * original asset URLs, settings and name are restored, and the packaged assets are reused
+ * instead of downloaded again. Only URLs that are new since that build are fetched.
+ * @param {File} file A Devpack-*.zip
+ */
+async function openDevpackZip(file) {
+    let manifest;
+    let root;
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(file);
+        const manifestFile = zip.file(/(^|\/)manifest\.json$/).sort((a, b) => a.name.length - b.name.length)[0];
+        if (!manifestFile) {
+            throw new Error('No manifest.json found, so its assets cannot be matched to their URLs. Rebuild it from the source files instead.');
         }
-        // Fonts
-        if (hasAssets('fonts')) {
-            const fontFolder = assets.folder('fonts');
-            const normalizedTracker = new Set();
-            zipContent.fonts.forEach((blob, filename) => {
-                const baseFilename = filename.split(/[?#]/)[0];
-                let finalName = baseFilename;
-                let i = 1;
-                while (normalizedTracker.has(finalName)) {
-                    finalName = `duplicate-${i++}-${baseFilename}`;
-                }
-                normalizedTracker.add(finalName);
-                fontFolder.file(finalName, blob);
-            });
+        manifest = JSON.parse(await manifestFile.async('string'));
+        if (!manifest.settings || !manifest.settings.include) {
+            throw new Error('manifest.json has no build settings, so the scan cannot be repeated. Rebuild it from the source files instead.');
         }
-        // Videos
-        let hasVideo = false;
-        zipContent.images && zipContent.images.forEach((_, filename) => {
-            if (/\.(mp4|webm|ogg)$/i.test(filename)) hasVideo = true;
-        });
-        if (hasVideo) {
-            const videoFolder = assets.folder('videos');
-            const normalizedTracker = new Set();
-            zipContent.images.forEach((blob, filename) => {
-                if (/\.(mp4|webm|ogg)$/i.test(filename)) {
-                    const baseFilename = filename.split(/[?#]/)[0];
-                    let finalName = baseFilename;
-                    let i = 1;
-                    while (normalizedTracker.has(finalName)) {
-                        finalName = `duplicate-${i++}-${baseFilename}`;
-                    }
-                    normalizedTracker.add(finalName);
-                    videoFolder.file(finalName, blob);
-                }
-            });
+        root = manifestFile.name.slice(0, -'manifest.json'.length);
+    } catch (err) {
+        alert(`Could not open ${file.name}: ${err.message}`);
+        return;
+    }
+
+    const localized = manifest.settings.localizeReferences;
+
+    // Packaged assets, with rewritten CSS/JS pointed back at the original URLs
+    const blobs = new Map(); // asset URL -> original content
+    for (const asset of manifest.assets) {
+        const entry = zip.file(root + asset.path);
+        // fonts.css merges every font stylesheet, so those are fetched again (their fonts are reused)
+        if (!entry || isFontCssUrl(asset.url)) continue;
+
+        let content = await entry.async('blob');
+        if (localized && (asset.type === 'css' || asset.type === 'js')) {
+            content = restoreAssetUrls(await content.text(), asset.path, manifest.assets, other => other.parent === asset.url);
         }
-        // Gifs
-        let hasGif = false;
-        zipContent.images && zipContent.images.forEach((_, filename) => {
-            if (/\.gif$/i.test(filename)) hasGif = true;
-        });
-        if (hasGif) {
-            const gifFolder = assets.folder('gifs');
-            const normalizedTracker = new Set();
-            zipContent.images.forEach((blob, filename) => {
-                if (/\.gif$/i.test(filename)) {
-                    const baseFilename = filename.split(/[?#]/)[0];
-                    let finalName = baseFilename;
-                    let i = 1;
-                    while (normalizedTracker.has(finalName)) {
-                        finalName = `duplicate-${i++}-${baseFilename}`;
-                    }
-                    normalizedTracker.add(finalName);
-                    gifFolder.file(finalName, blob);
-                }
-            });
+        blobs.set(asset.url, new Blob([content], { type: asset.contentType || '' }));
+    }
+
+    // Extracted data URIs go back inline, so the rescan extracts them again
+    const sourceAssets = await Promise.all(manifest.assets.map(async asset => (
+        isInlineAssetKey(asset.url) && blobs.has(asset.url)
+            ? { ...asset, url: await blobToDataUri(blobs.get(asset.url), asset.contentType) }
+            : asset
+    )));
+
+    const sources = [];
+    for (const source of manifest.sourceFiles) {
+        const entry = zip.file(root + source.path);
+        if (!entry) continue;
+
+        let text = await entry.async('string');
+        if (localized || manifest.settings.replaceInlineAssets) {
+            text = restoreAssetUrls(text, source.path, sourceAssets, asset => asset.referencedBy.some(ref => ref.file === source.originalName));
         }
+        sources.push(new File([text], source.originalName));
     }
 
-    // Script folder for js
-    if (hasAssets('js')) {
-        const scriptFolder = root.folder('script');
-        const normalizedTracker = new Set();
-        zipContent.js.forEach((blob, filename) => {
-            const baseFilename = filename.split(/[?#]/)[0];
-            let finalName = baseFilename;
-            let i = 1;
-            while (normalizedTracker.has(finalName)) {
-                finalName = `duplicate-${i++}-${baseFilename}`;
-            }
-            normalizedTracker.add(finalName);
-            scriptFolder.file(finalName, blob);
-        });
+    resetSession();
+    variationNames = [...(manifest.settings.variations || [])];
+    renderVariationTargets();
+    previousDevpack = {
+        name: file.name,
+        manifest,
+        blobs,
+        sourceKeys: new Set(sources.map(getFileKey))
+    };
+
+    // Scan with the settings the devpack was built with
+    const includeCheckboxes = { js: jsCheckbox, css: cssCheckbox, fonts: fontCheckbox, images: imgCheckbox, videos: videoCheckbox, gifs: gifCheckbox };
+    Object.entries(manifest.settings.include).forEach(([type, on]) => {
+        if (includeCheckboxes[type]) includeCheckboxes[type].checked = on;
+    });
+    crawlDepthInput.value = manifest.settings.dependencyDepth;
+    baseUrlInput.value = manifest.settings.baseUrl || '';
+    testNameInput.value = manifest.devpack;
+    testNumberInput.value = manifest.testNumber || '';
+    if (manifest.settings.layout) {
+        setDevpackLayout(manifest.settings.layout);
+        renderLayoutPresets('custom');
     }
+    if (manifest.settings.bundle) {
+        bundleCheckbox.checked = true;
+        bundleBaseUrlInput.value = manifest.settings.bundle.assetBaseUrl || '';
+        bundleMinifyCheckbox.checked = manifest.settings.bundle.minify;
+    }
+
+    updatePreview(sources);
+    await processFiles();
+}
+
+/**
+ * Reverses localizeReferences: replaces the relative paths to packaged assets with the asset URLs.
+ * @param {string} text Packaged file content
+ * @param {string} fromPath Path of that file inside the devpack
+ * @param {Array} assets Manifest assets ({ url, path })
+ * @param {Function} isReferencedFrom Picks the URL to restore when several URLs share one packaged file
+ * @returns {string}
+ */
+function restoreAssetUrls(text, fromPath, assets, isReferencedFrom) {
+    const byRelativePath = new Map(); // relative path -> manifest asset
+    assets.forEach(asset => {
+        const relativePath = getRelativePath(fromPath, asset.path);
+        const current = byRelativePath.get(relativePath);
+        if (!current || (!isReferencedFrom(current) && isReferencedFrom(asset))) {
+            byRelativePath.set(relativePath, asset);
+        }
+    });
+    if (byRelativePath.size === 0) return text;
+
+    // Longest paths first, and only whole paths (not the tail of a longer one)
+    const paths = [...byRelativePath.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map(path => path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(?<![\\w./-])(?:${paths.join('|')})(?![\\w/-])`, 'g');
+
+    return text.replace(pattern, path => byRelativePath.get(path).url);
+}
+
+/**
+ * Hashes an uploaded file for the rebuild diff. Files restored from the opened devpack count as
+ * unchanged: restoring URLs cannot reproduce how they were originally written (relative or absolute).
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+async function getSourceHash(file) {
+    const previous = previousDevpack.manifest.sourceFiles.find(source => source.originalName === file.name);
+    return previous && previousDevpack.sourceKeys.has(getFileKey(file)) ? previous.hash : hashBlob(file);
+}
+
+/**
+ * Compares the last scan with the devpack opened for rebuilding.
+ * @returns {{files: Object, assets: Object}} Each with added / removed / changed lists
+ */
+function getDevpackDiff() {
+    const { manifest } = previousDevpack;
+    const previousAssets = new Map([...manifest.assets, ...(manifest.excluded || [])].map(({ url, hash }) => [url, hash]));
+    // Reused assets are unchanged by definition (see getSourceHash for why hashes may differ)
+    const currentAssets = new Map([...validatedAssets.urls].map(([url, { hash }]) => [url, previousDevpack.blobs.has(url) ? previousAssets.get(url) : hash]));
+    const previousFiles = new Map(manifest.sourceFiles.map(({ originalName, hash }) => [originalName, hash]));
+
+    return {
+        files: compareHashes(previousFiles, scanDetails.sourceHashes),
+        assets: compareHashes(previousAssets, currentAssets)
+    };
+}
 
-    // Style folder for css
-    if (hasAssets('css')) {
-        const styleFolder = root.folder('style');
-        const normalizedTracker = new Set();
-        zipContent.css.forEach((blob, filename) => {
-            const baseFilename = filename.split(/[?#]/)[0];
-            let finalName = baseFilename;
-            let i = 1;
-            while (normalizedTracker.has(finalName)) {
-                finalName = `duplicate-${i++}-${baseFilename}`;
+/**
+ * Lists keys added, removed, or whose hash changed between two key -> hash maps.
+ * @param {Map<string, string>} previous
+ * @param {Map<string, string>} current
+ * @returns {{added: string[], removed: string[], changed: string[]}}
+ */
+function compareHashes(previous, current) {
+    return {
+        added: [...current.keys()].filter(key => !previous.has(key)).sort(),
+        removed: [...previous.keys()].filter(key => !current.has(key)).sort(),
+        changed: [...current.keys()].filter(key => previous.has(key) && previous.get(key) !== current.get(key)).sort()
+    };
+}
+
+/**
+ * Renders the changes since the opened devpack below the asset preview.
+ * @param {{files: Object, assets: Object}} diff See getDevpackDiff
+ */
+function renderDevpackDiff(diff) {
+    const marks = { added: '+', removed: '−', changed: '~' };
+    const total = Object.values(diff).reduce((sum, lists) => sum + lists.added.length + lists.removed.length + lists.changed.length, 0);
+
+    previewBox.innerHTML += `
+    <details class="preview-section preview-section--diff" ${total > 0 ? 'open' : ''}>
+      <summary class="preview-summary">Changes since ${escapeHtml(previousDevpack.name)} (${total})</summary>
+      ${total === 0 ? '<p class="preview-diff__empty">No changes: every file and asset matches the opened devpack.</p>' : ''}
+      ${Object.entries(diff).map(([kind, lists]) => Object.entries(marks).map(([change, mark]) => lists[change].length === 0 ? '' : `
+        <div>
+          <strong>${kind.toUpperCase()} ${change} (${lists[change].length}):</strong>
+          <ul class="preview-list preview-diff preview-diff--${change}">
+            ${lists[change].map(item => `<li data-mark="${mark}">${escapeHtml(item)}</li>`).join('')}
+          </ul>
+        </div>
+      `).join('')).join('')}
+    </details>
+  `;
+}
+
+
+/*  ==================================================
+    SESSION PERSISTENCE (INDEXEDDB, EXPORT / IMPORT)
+    ================================================== */
+const SESSION_DB_NAME = 'spz-devpack-builder';
+const SESSION_STORE = 'sessions';
+const SESSION_SAVE_DELAY = 1000; // Debounce for autosave, in ms
+
+// Autosave on any setting, file base URL or asset choice change
+document.addEventListener('change', (e) => {
+    if (e.target.closest('.js-import-session')) return;
+    scheduleSessionSave();
+});
+
+newSessionBtn.addEventListener('click', async () => {
+    await saveSession();
+    resetSession();
+    renderRecentSessions();
+});
+
+exportSessionBtn.addEventListener('click', exportSession);
+
+importSessionInput.addEventListener('change', async () => {
+    const file = importSessionInput.files[0];
+    importSessionInput.value = '';
+    if (file) await importSession(file);
+});
+
+sessionList.addEventListener('click', async (e) => {
+    const resumeBtn = e.target.closest('.js-session-resume');
+    const deleteBtn = e.target.closest('.js-session-delete');
+
+    if (resumeBtn) {
+        await saveSession();
+        const snapshot = await runSessionRequest('readonly', store => store.get(resumeBtn.dataset.id));
+        if (snapshot) restoreSession(snapshot);
+    } else if (deleteBtn) {
+        if (!confirm('Delete this saved session?')) return;
+        await runSessionRequest('readwrite', store => store.delete(deleteBtn.dataset.id));
+        if (deleteBtn.dataset.id === sessionId) sessionId = null;
+    } else {
+        return;
+    }
+    renderRecentSessions();
+});
+
+renderRecentSessions();
+
+/**
+ * Opens (and creates on first use) the session database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openSessionDb() {
+    sessionDb = sessionDb || new Promise((resolve, reject) => {
+        const request = indexedDB.open(SESSION_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    return sessionDb;
+}
+
+/**
+ * Runs a single request against the session store.
+ * @param {'readonly'|'readwrite'} mode
+ * @param {Function} action Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function runSessionRequest(mode, action) {
+    const db = await openSessionDb();
+    return new Promise((resolve, reject) => {
+        const request = action(db.transaction(SESSION_STORE, mode).objectStore(SESSION_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Saves the session shortly after the last change, so bursts of edits are written once.
+ */
+function scheduleSessionSave() {
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = setTimeout(saveSession, SESSION_SAVE_DELAY);
+}
+
+/**
+ * Writes the current session to IndexedDB. Empty sessions (no files, no assets) are not stored.
+ */
+async function saveSession() {
+    clearTimeout(sessionSaveTimer);
+    if (typeof indexedDB === 'undefined' || (collectedFiles.length === 0 && !validatedAssets)) return;
+
+    sessionId = sessionId || crypto.randomUUID();
+    try {
+        await runSessionRequest('readwrite', store => store.put(createSessionSnapshot()));
+        sessionStatus.textContent = `Saved ${new Date().toLocaleTimeString()}`;
+        renderRecentSessions();
+    } catch (err) {
+        sessionStatus.textContent = `Not saved: ${err.message}`;
+    }
+}
+
+/**
+ * Captures everything needed to pick the session up again: uploaded files, settings,
+ * scan results with the downloaded blobs, and per-asset choices.
+ * @returns {Object} A structured-clonable snapshot
+ */
+function createSessionSnapshot() {
+    const settings = {};
+    getSessionSettingInputs().forEach(([key, input]) => {
+        settings[key] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+
+    return {
+        id: sessionId,
+        version: APP_VERSION,
+        updatedAt: new Date().toISOString(),
+        name: testNameInput.value.trim(),
+        files: collectedFiles,
+        settings,
+        fileBaseUrls,
+        variations: variationNames,
+        scanDetails,
+        validatedAssets,
+        assetChoices,
+        previousDevpack,
+        layout: devpackLayout
+    };
+}
+
+/**
+ * Inputs whose values are part of a session, keyed by their name in the snapshot.
+ * @returns {Array<[string, HTMLInputElement]>}
+ */
+function getSessionSettingInputs() {
+    return Object.entries({
+        includeJs: jsCheckbox,
+        includeCss: cssCheckbox,
+        includeImages: imgCheckbox,
+        includeFonts: fontCheckbox,
+        includeVideos: videoCheckbox,
+        includeGifs: gifCheckbox,
+        crawlDepth: crawlDepthInput,
+        concurrency: concurrencyInput,
+        timeout: timeoutInput,
+        retries: retriesInput,
+        baseUrl: baseUrlInput,
+        proxyUrl: proxyUrlInput,
+        testName: testNameInput,
+        testNumber: testNumberInput,
+        localize: localizeCheckbox,
+        extractInline: extractInlineCheckbox,
+        extractSvg: extractSvgCheckbox,
+        replaceInline: replaceInlineCheckbox,
+        bundle: bundleCheckbox,
+        bundleBaseUrl: bundleBaseUrlInput,
+        bundleMinify: bundleMinifyCheckbox,
+        optimizeImages: optimizeCheckbox,
+        optimizeMax: optimizeMaxInput,
+        optimizeFormat: optimizeFormatSelect,
+        optimizeQuality: optimizeQualityInput,
+        auditBlock: auditBlockCheckbox,
+        ...Object.fromEntries([...budgetInputs].map(input => [`budget-${input.dataset.budget}`, input]))
+    });
+}
+
+/**
+ * Clears uploads and scan results so a new session can start. Settings are kept.
+ */
+function resetSession() {
+    sessionId = null;
+    collectedFiles = [];
+    uploadedFileSet = new Set();
+    fileBaseUrls = new Map();
+    variationNames = [];
+    renderVariationTargets();
+    zipContent = null;
+    assetUrlMap = null;
+    validatedAssets = null;
+    assetChoices = new Map();
+    optimizedImages = new Map();
+    scanDetails = null;
+    previewSources = null;
+    previousDevpack = null;
+    previewBox.innerHTML = '';
+    resultBox.innerText = '';
+    sessionStatus.textContent = '';
+}
+
+/**
+ * Replaces the current state with a saved session and re-renders it.
+ * @param {Object} snapshot See createSessionSnapshot
+ */
+function restoreSession(snapshot) {
+    resetSession();
+    sessionId = snapshot.id;
+
+    getSessionSettingInputs().forEach(([key, input]) => {
+        if (!(key in snapshot.settings)) return;
+        if (input.type === 'checkbox') {
+            input.checked = snapshot.settings[key];
+        } else {
+            input.value = snapshot.settings[key];
+        }
+    });
+
+    if (snapshot.layout) {
+        setDevpackLayout(snapshot.layout);
+        renderLayoutPresets('custom');
+    }
+
+    fileBaseUrls = new Map(snapshot.fileBaseUrls);
+    variationNames = [...(snapshot.variations || [])];
+    renderVariationTargets();
+    validatedAssets = snapshot.validatedAssets;
+    assetChoices = new Map(snapshot.assetChoices);
+    scanDetails = snapshot.scanDetails;
+    previousDevpack = snapshot.previousDevpack || null;
+
+    updatePreview(snapshot.files);
+    if (scanDetails) {
+        applyAssetChoices();
+        refreshAssetPreview();
+        if (optimizeCheckbox.checked) optimizeImages();
+        resultBox.innerText = `Session restored: ${assetUrlMap.size} asset(s) ready. Click download to proceed.`;
+    }
+    sessionStatus.textContent = `Resumed session from ${new Date(snapshot.updatedAt).toLocaleString()}`;
+}
+
+/**
+ * Lists saved sessions, most recent first, with resume and delete actions. When IndexedDB cannot
+ * be opened (private mode, blocked storage) the reason is shown in the session status instead.
+ */
+async function renderRecentSessions() {
+    if (typeof indexedDB === 'undefined') return;
+
+    let sessions;
+    try {
+        sessions = (await runSessionRequest('readonly', store => store.getAll()))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    } catch (err) {
+        sessionStatus.textContent = `Saved sessions unavailable: ${err.message}`;
+        return;
+    }
+
+    sessionList.innerHTML = sessions.map(session => `
+      <li class="${session.id === sessionId ? 'is-current' : ''}">
+        <span class="devpack__sessions__name">${escapeHtml(session.name || 'Untitled session')}</span>
+        <small>${session.files.length} file(s), ${session.validatedAssets ? session.validatedAssets.urls.size : 0} asset(s) · ${new Date(session.updatedAt).toLocaleString()}</small>
+        <button class="devpack__sessions__btn js-session-resume" data-id="${session.id}">Resume</button>
+        <button class="devpack__sessions__btn js-session-delete" data-id="${session.id}">Delete</button>
+      </li>
+    `).join('');
+}
+
+/**
+ * Downloads the current session as a single ZIP: session.json plus every file and asset blob.
+ */
+async function exportSession() {
+    if (collectedFiles.length === 0 && !validatedAssets) {
+        alert('There is nothing to export yet.');
+        return;
+    }
+
+    const zip = new JSZip();
+    const blobs = [];
+    const json = JSON.stringify(createSessionSnapshot(), (key, value) => {
+        if (value instanceof Map) return { $map: [...value] };
+        if (value instanceof Set) return { $set: [...value] };
+        if (value instanceof Blob) {
+            blobs.push(value);
+            return { $blob: blobs.length - 1, type: value.type, name: value.name, lastModified: value.lastModified };
+        }
+        return value;
+    }, 2);
+
+    zip.file('session.json', json);
+    blobs.forEach((blob, i) => zip.file(`blobs/${i}`, blob));
+
+    const name = testNameInput.value.trim() || 'untitled';
+    const date = new Date().toISOString().slice(0, 10);
+    saveAs(await zip.generateAsync({ type: 'blob' }), `Session-${name}-${date}.zip`);
+}
+
+/**
+ * Loads a session exported with exportSession and saves it as a new local session.
+ * @param {File} file
+ */
+async function importSession(file) {
+    let snapshot;
+    try {
+        const zip = await JSZip.loadAsync(file);
+        const sessionFile = zip.file('session.json');
+        if (!sessionFile) throw new Error('Not a devpack session file');
+
+        const blobEntries = zip.file(/^blobs\//);
+        const blobs = new Map(await Promise.all(blobEntries.map(async entry => [entry.name.slice('blobs/'.length), await entry.async('blob')])));
+        snapshot = JSON.parse(await sessionFile.async('string'), (key, value) => {
+            if (!value || typeof value !== 'object') return value;
+            if ('$map' in value) return new Map(value.$map);
+            if ('$set' in value) return new Set(value.$set);
+            if ('$blob' in value) {
+                const blob = blobs.get(String(value.$blob));
+                return value.name !== undefined
+                    ? new File([blob], value.name, { type: value.type, lastModified: value.lastModified })
+                    : new Blob([blob], { type: value.type });
             }
-            normalizedTracker.add(finalName);
-            styleFolder.file(finalName, blob);
+            return value;
         });
+    } catch (err) {
+        alert(`Could not import ${file.name}: ${err.message}`);
+        return;
     }
 
-    const content = await zip.generateAsync({
-        type: "blob"
-    });
-    saveAs(content, filename);
-    modal.classList.remove('modal--show');
-});
+    restoreSession({ ...snapshot, id: crypto.randomUUID() });
+    await saveSession();
+    renderRecentSessions();
+}
 
 
 /*  ==================================================
@@ -0,0 +1,2672 @@
+/**
+ * SPZ Devpack Builder v1.0.0 — core
+ * ------------------------------------------
+ * DOM-free core shared by the web app (js/app.js) and the Node CLI (cli/devpack.js):
+ * asset extraction, validation/fetching, naming and devpack packaging.
+ * Loaded as a plain script in the browser (its functions become globals used by app.js)
+ * and with require() in Node, where it exports the same functions.
+ *
+ * @author   Abir Maiti
+ * @company  Spiralyze
+ * @version  1.0.0
+ */
+
+const APP_NAME = 'SPZ Devpack Builder';
+const APP_VERSION = '1.0.0';
+
+
+/*  ==================================================
+    ASSET EXTRACTION LOGIC FROM FILE CONTENTS
+    ================================================== */
+// Regex matches:
+// - URLs in quotes, parentheses, or plain
+// - CSS url(...) with or without quotes
+// - Protocol-relative and absolute URLs
+// - Common web asset extensions
+// Only match file extensions after a slash, not in the domain
+const ASSET_URL_REGEX = /(?:url\(\s*['"]?|['"])?((?:https?:)?\/\/[^\s"'()]+\/[^\s"'()]+?\.(js|css|png|jpe?g|svg|webp|avif|gif|mp4|webm|ogg|woff2?|ttf|otf|eot)(\?[^\s"'()]*)?)(?:['"]?\s*\))?/gi;
+
+// Font stylesheet APIs (Google Fonts, Adobe Fonts, Bunny Fonts) serve CSS without a .css extension
+const FONT_CSS_URL_REGEX = /(?:https?:)?\/\/(?:fonts\.googleapis\.com\/css2?|fonts\.bunny\.net\/css2?|use\.typekit\.net\/[\w-]+\.css)(?:\?[^\s"'()<>]*)?/gi;
+
+// Relative and root-relative paths (e.g. /wp-content/uploads/a.png, ../img/hero.png),
+// only when quoted or inside CSS url(...), so plain text is not picked up
+const RELATIVE_ASSET_URL_REGEX = /(?:url\(\s*['"]?|['"])((?![a-z][a-z\d+.-]*:|\/\/)[\w\-.~%@+/]*[\w\-~%@+]\.(js|css|png|jpe?g|svg|webp|avif|gif|mp4|webm|ogg|woff2?|ttf|otf|eot)([?#][^\s"'()<>]*)?)(?=['"\s)]|$)/gi;
+
+// Characters kept on each side of a reference in source snippets, and the longest reference shown
+const SNIPPET_CONTEXT = 40;
+const SNIPPET_MAX_MATCH = 80;
+
+/**
+ * Extracts asset URLs from uploaded files with a parser per format (HTML, CSS, JS),
+ * falling back to pattern matching for anything else.
+ * Relative paths are resolved against the file's base URL (see getFileBaseUrl), except those
+ * pointing at another uploaded file (file names are paths relative to the upload root).
+ * When `options.occurrences` is given, it is filled with URL -> [{ file, line, column, snippet, displayWidth }]
+ * (snippet: see getSourceSnippet; displayWidth only for images with a known width, e.g. <img width="400">).
+ * When `options.excluded` is given, references of types left out by `include` go in it as
+ * URL -> { type, occurrences } instead, so it can still be shown where they are.
+ * When `options.inlineAssets` is given, data URIs (and inline SVGs with `options.inlineSvg`)
+ * are extracted into it as pseudo-URL -> asset (see findInlineAssets) and listed like URLs.
+ * @param {File[]} files
+ * @param {Object} include
+ * @param {Object} [options] { baseUrl, fileBaseUrls, occurrences, excluded, inlineAssets, inlineSvg }
+ * @returns {Promise<Object>} Object of Sets: images, gifs, videos, css, js, fonts
+ */
+async function extractAssetsFromFiles(files, include, options = {}) {
+    const assets = {
+        images: new Set(),
+        gifs: new Set(),
+        videos: new Set(),
+        css: new Set(),
+        js: new Set(),
+        fonts: new Set(),
+    };
+    const sourcePaths = new Set(files.map(file => file.name));
+
+    for (const file of files) {
+        try {
+            const text = await file.text();
+            const baseUrl = getFileBaseUrl(file, text, options);
+            const locate = createLineLocator(text);
+
+            const getOccurrence = (ref) => ({
+                file: file.name,
+                ...locate(ref.offset),
+                snippet: getSourceSnippet(text, ref.offset, ref.raw.length),
+                ...(ref.displayWidth ? { displayWidth: ref.displayWidth } : {})
+            });
+
+            const addReference = (ref, type) => {
+                assets[type].add(ref.url);
+
+                if (options.occurrences) {
+                    if (!options.occurrences.has(ref.url)) options.occurrences.set(ref.url, []);
+                    options.occurrences.get(ref.url).push(getOccurrence(ref));
+                }
+            };
+
+            const addExcluded = (ref, type) => {
+                if (!options.excluded) return;
+                if (!options.excluded.has(ref.url)) options.excluded.set(ref.url, { type, occurrences: [] });
+                options.excluded.get(ref.url).occurrences.push(getOccurrence(ref));
+            };
+
+            findFileReferences(text, file.name, baseUrl).forEach(ref => {
+                // Links between uploaded files (e.g. index.html -> src/variant.js) keep working as packaged
+                if (sourcePaths.has(resolveSourcePath(ref.raw, file.name))) return;
+
+                const type = getReferenceType(ref);
+                if (type && include[type]) addReference(ref, type);
+                else if (type) addExcluded(ref, type);
+            });
+
+            // Data URIs (and inline SVGs) become asset files of their own
+            if (options.inlineAssets) {
+                (await findInlineAssets(text, file.name, { svg: options.inlineSvg })).forEach(asset => {
+                    if (!include[asset.type]) {
+                        addExcluded(asset, asset.type);
+                        return;
+                    }
+                    addReference(asset, asset.type);
+                    options.inlineAssets.set(asset.url, asset);
+                });
+            }
+        } catch (err) {
+            console.warn(`Error reading file "${file.name}":`, err);
+        }
+    }
+
+    return assets;
+}
+
+/**
+ * Finds every asset URL referenced in a text, along with its exact position.
+ * Relative paths are resolved against `baseUrl`, or kept as written when there is none.
+ * @param {string} text
+ * @param {string|null} [baseUrl]
+ * @returns {Array<{raw: string, url: string, index: number}>} raw = URL as written, url = normalized URL
+ */
+function findAssetReferences(text, baseUrl = null) {
+    const references = [...text.matchAll(ASSET_URL_REGEX)].map(match => {
+        const raw = match[1]; // Use the captured group for the actual URL
+        const index = match.index + match[0].indexOf(raw);
+        return {
+            raw,
+            url: raw.startsWith('//') ? 'https:' + raw : raw, // Normalize protocol
+            index,
+            offset: index,
+            type: null
+        };
+    });
+
+    for (const match of text.matchAll(FONT_CSS_URL_REGEX)) {
+        const raw = match[0];
+        if (references.some(ref => match.index >= ref.index && match.index < ref.index + ref.raw.length)) continue;
+
+        references.push({ raw, url: raw.startsWith('//') ? 'https:' + raw : raw, index: match.index, offset: match.index, type: 'css' });
+    }
+
+    for (const match of text.matchAll(RELATIVE_ASSET_URL_REGEX)) {
+        const raw = match[1];
+        const index = match.index + match[0].lastIndexOf(raw);
+
+        // Skip paths that are part of an absolute URL (e.g. in its query string)
+        if (references.some(ref => index >= ref.index && index < ref.index + ref.raw.length)) continue;
+
+        references.push({ raw, url: resolveAssetUrl(raw, baseUrl), index, offset: index, type: null });
+    }
+
+    return references.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Resolves a relative asset path against a base URL with standard URL semantics.
+ * @param {string} path
+ * @param {string|null} baseUrl
+ * @returns {string} Absolute URL, or the path unchanged if it cannot be resolved
+ */
+function resolveAssetUrl(path, baseUrl) {
+    if (!baseUrl) return path.startsWith('//') ? 'https:' + path : path;
+
+    try {
+        return new URL(path, baseUrl).href;
+    } catch (err) {
+        return path;
+    }
+}
+
+/**
+ * Resolves a relative reference against the path of the uploaded file it appears in.
+ * e.g. ('../img/a.png', 'src/variant.css') -> 'img/a.png'
+ * @param {string} raw Reference as written
+ * @param {string} fromPath Path of the referencing file, relative to the upload root
+ * @returns {string|null} Path relative to the upload root, or null for absolute URLs
+ */
+function resolveSourcePath(raw, fromPath) {
+    if (/^([a-z][a-z\d+.-]*:|\/\/)/i.test(raw)) return null;
+
+    try {
+        return decodeURIComponent(new URL(raw, `file:///${fromPath}`).pathname.slice(1));
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Works out the URL relative paths in an uploaded file resolve against:
+ * the per-file override, else the site base URL, then any <base href> in HTML on top.
+ * @param {File} file
+ * @param {string} text
+ * @param {Object} options { baseUrl, fileBaseUrls }
+ * @returns {string|null}
+ */
+function getFileBaseUrl(file, text, options = {}) {
+    const { baseUrl = '', fileBaseUrls = new Map() } = options;
+    let fileUrl = fileBaseUrls.get(getFileKey(file)) || baseUrl || null;
+
+    if (/\.html?$/i.test(file.name)) {
+        const baseTag = text.match(/<base\s[^>]*href\s*=\s*['"]?([^'"\s>]+)/i);
+        if (baseTag) {
+            fileUrl = resolveAssetUrl(baseTag[1], fileUrl);
+        }
+    }
+
+    return fileUrl && /^https?:\/\//.test(fileUrl) ? fileUrl : null;
+}
+
+
+/**
+ * Categorizes an asset URL based on its extension,
+ * or an image format query parameter for extensionless CDN transform URLs (e.g. ?format=webp).
+ * @param {string} url
+ * @returns {string|null} js, css, images, gifs, videos, fonts or null when unknown
+ */
+function getAssetType(url) {
+    if (isFontCssUrl(url)) return 'css';
+    if (url.endsWith('.js') || url.includes('.js?')) return 'js';
+    if (url.endsWith('.css') || url.includes('.css?')) return 'css';
+    if (/\.gif([\?#][^"')\s]*)?$/i.test(url)) return 'gifs';
+    if (/\.(mp4|webm|ogg|ogv|mov)([\?#][^"')\s]*)?$/i.test(url)) return 'videos';
+    if (/\.(png|jpe?g|svg|webp|avif)([\?#][^"')\s]*)?$/i.test(url)) return 'images';
+    if (/\.(woff2?|ttf|otf|eot)([\?#][^"')\s]*)?$/i.test(url)) return 'fonts';
+    if (/[?&](format|fm|ext)=gif\b/i.test(url)) return 'gifs';
+    if (/[?&](format|fm|ext)=(png|jpe?g|webp|avif)\b/i.test(url)) return 'images';
+    return null;
+}
+
+/**
+ * Whether a URL is a font stylesheet API (Google Fonts, Adobe Fonts, Bunny Fonts). Their CSS is
+ * always crawled for font files and packaged as one self-hosted fonts.css.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isFontCssUrl(url) {
+    return /^(https?:)?\/\/(fonts\.googleapis\.com\/css2?|fonts\.bunny\.net\/css2?)([?#]|$)|^(https?:)?\/\/use\.typekit\.net\/[\w-]+\.css([?#]|$)/i.test(url);
+}
+
+/**
+ * Categorizes a parsed reference: the URL's extension wins, then the context it was found in
+ * (e.g. <script src>, <link rel="stylesheet">, @import, url() in @font-face).
+ * @param {Object} ref
+ * @returns {string|null}
+ */
+function getReferenceType(ref) {
+    return getAssetType(ref.url) || ref.type || null;
+}
+
+/**
+ * Builds the composite key used to tell uploaded files apart.
+ * @param {File} file
+ * @returns {string}
+ */
+function getFileKey(file) {
+    return `${file.name}-${file.size}-${file.lastModified}`;
+}
+
+
+/*  ==================================================
+    FORMAT-AWARE REFERENCE PARSERS (HTML / CSS / JS)
+    ================================================== */
+// Attributes that can hold asset URLs in HTML
+const HTML_URL_ATTRIBUTES = ['src', 'href', 'srcset', 'poster', 'data-src', 'data-srcset', 'data-bg', 'data-background', 'data-lazy-src', 'data-poster'];
+
+// Elements without a closing tag, for the Node HTML tokenizer (see parseHtmlElements)
+const HTML_VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+// Keywords after which a "/" starts a regex literal rather than a division
+const JS_REGEX_KEYWORDS = ['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'instanceof', 'yield', 'await'];
+
+/**
+ * Picks the right parser for an uploaded file based on its extension.
+ * Every reference has: raw (as written), url (normalized), index (position of raw in the text,
+ * null when it cannot be rewritten in place), offset (position used for line numbers)
+ * and type (asset type implied by where it was found, or null).
+ * @param {string} text
+ * @param {string} filename
+ * @param {string|null} baseUrl
+ * @returns {Array<Object>}
+ */
+function findFileReferences(text, filename, baseUrl) {
+    if (/\.html?$/i.test(filename)) return extractHtmlReferences(text, baseUrl);
+    if (/\.s?css$/i.test(filename)) return extractCssReferences(text, baseUrl);
+    if (/\.m?js$/i.test(filename)) return extractJsReferences(text, baseUrl);
+    return findAssetReferences(text, baseUrl);
+}
+
+/**
+ * Finds asset references in HTML: URL attributes (incl. srcset and lazy-load data-* attributes),
+ * inline style="" and <style> blocks, inline <script> blocks. Comments are ignored.
+ * @param {string} html
+ * @param {string|null} baseUrl
+ * @returns {Array<Object>}
+ */
+function extractHtmlReferences(html, baseUrl) {
+    // Node (the CLI) has no DOMParser: a lightweight tokenizer stands in there
+    const elements = typeof DOMParser !== 'undefined'
+        ? [...new DOMParser().parseFromString(html, 'text/html').querySelectorAll('*')]
+        : parseHtmlElements(html);
+    const references = [];
+    const commentRanges = [...html.matchAll(/<!--[\s\S]*?-->/g)].map(m => [m.index, m.index + m[0].length]);
+    let cursor = 0;
+
+    // Finds where a parsed value sits in the source, walking forward in document order
+    const locate = (value) => {
+        const candidates = [value, value.replace(/&/g, '&amp;')];
+        for (const from of [cursor, 0]) {
+            for (const candidate of candidates) {
+                let index = html.indexOf(candidate, from);
+                while (index !== -1 && commentRanges.some(([start, end]) => index >= start && index < end)) {
+                    index = html.indexOf(candidate, index + 1);
+                }
+                if (index !== -1) {
+                    cursor = index + candidate.length;
+                    return { raw: candidate, index };
+                }
+            }
+        }
+        return { raw: value, index: null };
+    };
+
+    // Adds references found inside an attribute value or inline block
+    const addNested = (nested, located, value) => {
+        const exact = located.index !== null && located.raw === value;
+        nested.forEach(ref => references.push({
+            ...ref,
+            index: exact && ref.index !== null ? located.index + ref.index : null,
+            offset: exact ? located.index + ref.offset : (located.index ?? cursor)
+        }));
+    };
+
+    // Adds a URL sitting at `valueOffset` inside an attribute value
+    const addUrl = (value, type, located, attributeValue, valueOffset = 0) => {
+        const raw = value.trim();
+        if (isSkippableUrl(raw)) return;
+
+        let reference = { raw, index: null };
+        if (located.index !== null && located.raw === attributeValue) {
+            reference.index = located.index + valueOffset + value.indexOf(raw);
+        } else if (located.index !== null && raw === attributeValue.trim()) {
+            reference = { raw: located.raw, index: located.index }; // entity-encoded in the source
+        }
+
+        references.push({
+            ...reference,
+            url: resolveAssetUrl(raw, baseUrl),
+            offset: located.index ?? cursor,
+            type,
+            // Width the image is shown at, for the audit (see auditAssets)
+            ...(type === 'images' && displayWidth ? { displayWidth } : {})
+        });
+    };
+
+    let displayWidth = null;
+    elements.forEach(el => {
+        const tag = el.tagName.toLowerCase();
+        displayWidth = tag === 'img' && /^\d+$/.test((el.getAttribute('width') || '').trim()) ? Number(el.getAttribute('width')) : null;
+
+        [...el.attributes].forEach(({ name, value }) => {
+            if (!value.trim()) return;
+
+            if (name === 'style') {
+                addNested(extractCssReferences(value, baseUrl), locate(value), value);
+            } else if (name === 'srcset' || name === 'data-srcset') {
+                const located = locate(value);
+                parseSrcset(value).forEach(candidate => addUrl(candidate.url, 'images', located, value, candidate.index));
+            } else if (HTML_URL_ATTRIBUTES.includes(name)) {
+                addUrl(value, getHtmlReferenceType(el, name), locate(value), value);
+            } else if (name === 'content' && tag === 'meta' && /(og|twitter):image/i.test(el.getAttribute('property') || el.getAttribute('name') || '')) {
+                addUrl(value, 'images', locate(value), value);
+            }
+        });
+
+        if (tag === 'style' && el.textContent.trim()) {
+            addNested(extractCssReferences(el.textContent, baseUrl), locate(el.textContent), el.textContent);
+        } else if (tag === 'script' && !el.hasAttribute('src') && el.textContent.trim()) {
+            const isJs = /^(|module|text\/javascript|application\/javascript)$/i.test(el.getAttribute('type') || '');
+            const nested = isJs ? extractJsReferences(el.textContent, baseUrl) : findAssetReferences(el.textContent, baseUrl);
+            addNested(nested, locate(el.textContent), el.textContent);
+        }
+    });
+
+    return references;
+}
+
+/**
+ * Parses HTML into a flat, document-ordered list of element-like objects with the subset of the
+ * Element API extractHtmlReferences uses (tagName, attributes, getAttribute, hasAttribute,
+ * textContent of raw-text elements, closest). Comments are skipped; attribute values are decoded.
+ * @param {string} html
+ * @returns {Array<Object>}
+ */
+function parseHtmlElements(html) {
+    const elements = [];
+    const open = []; // elements whose closing tag has not been seen yet
+    const pattern = /<!--[\s\S]*?-->|<\/([a-z][\w:-]*)[^>]*>|<([a-z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+    let match;
+
+    while ((match = pattern.exec(html))) {
+        if (match[1]) {
+            const tag = match[1].toLowerCase();
+            const at = open.map(el => el.tagName.toLowerCase()).lastIndexOf(tag);
+            if (at !== -1) open.length = at;
+            continue;
+        }
+        if (!match[2]) continue;
+
+        const tag = match[2].toLowerCase();
+        const attributes = [];
+        for (const [, name, ...values] of match[3].matchAll(/([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+            const attribute = name.toLowerCase();
+            if (attributes.some(existing => existing.name === attribute)) continue; // first one wins, as in browsers
+            attributes.push({ name: attribute, value: decodeHtmlEntities(values.find(value => value !== undefined) ?? '') });
+        }
+
+        const el = {
+            tagName: tag.toUpperCase(),
+            attributes,
+            parent: open[open.length - 1] || null,
+            textContent: '',
+            getAttribute: name => (attributes.find(attribute => attribute.name === name) || { value: null }).value,
+            hasAttribute: name => attributes.some(attribute => attribute.name === name),
+            closest: selector => {
+                for (let node = el; node; node = node.parent) {
+                    if (node.tagName.toLowerCase() === selector) return node;
+                }
+                return null;
+            }
+        };
+        elements.push(el);
+
+        if (['script', 'style', 'textarea', 'title'].includes(tag)) {
+            // Raw text: everything up to the closing tag, markup inside is not parsed
+            const close = html.slice(pattern.lastIndex).search(new RegExp(`</${tag}\\s*>`, 'i'));
+            const end = close === -1 ? html.length : pattern.lastIndex + close;
+            el.textContent = tag === 'script' || tag === 'style' ? html.slice(pattern.lastIndex, end) : decodeHtmlEntities(html.slice(pattern.lastIndex, end));
+            pattern.lastIndex = end;
+        } else if (!/\/$/.test(match[3].trim()) && !HTML_VOID_ELEMENTS.includes(tag)) {
+            open.push(el);
+        }
+    }
+
+    return elements;
+}
+
+/**
+ * Decodes character references the way an HTML parser does for attribute values (common named ones and numeric).
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeHtmlEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+    return text.replace(/&(?:#(\d+)|#x([\da-f]+)|(\w+));/gi, (entity, decimal, hex, name) => {
+        if (decimal || hex) return String.fromCodePoint(parseInt(decimal || hex, decimal ? 10 : 16));
+        return named[name.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Tells which asset type an HTML attribute points at, from the element it sits on.
+ * @param {Element} el
+ * @param {string} attribute
+ * @returns {string|null}
+ */
+function getHtmlReferenceType(el, attribute) {
+    const tag = el.tagName.toLowerCase();
+
+    if (attribute === 'href') {
+        if (tag !== 'link') return null;
+        const rel = (el.getAttribute('rel') || '').toLowerCase();
+        const as = (el.getAttribute('as') || '').toLowerCase();
+        if (rel.includes('stylesheet') || as === 'style') return 'css';
+        if (as === 'script' || rel.includes('modulepreload')) return 'js';
+        if (as === 'font') return 'fonts';
+        if (rel.includes('icon') || as === 'image') return 'images';
+        return null;
+    }
+    if (tag === 'script') return 'js';
+    if (['a', 'iframe', 'embed', 'object', 'audio', 'track'].includes(tag)) return null;
+    if (attribute === 'src' && (tag === 'video' || (tag === 'source' && el.closest('video')))) return 'videos';
+    return 'images';
+}
+
+/**
+ * Splits a srcset value into its candidate URLs, keeping commas that are part of a URL.
+ * @param {string} srcset
+ * @returns {Array<{url: string, index: number}>}
+ */
+function parseSrcset(srcset) {
+    const candidates = [];
+    let i = 0;
+
+    while (i < srcset.length) {
+        while (i < srcset.length && /[\s,]/.test(srcset[i])) i++;
+        const start = i;
+        while (i < srcset.length && !/\s/.test(srcset[i])) i++;
+
+        let url = srcset.slice(start, i);
+        if (url.endsWith(',')) {
+            url = url.replace(/,+$/, '');
+        } else {
+            // Skip the width/density descriptor
+            while (i < srcset.length && srcset[i] !== ',') i++;
+        }
+        if (url) candidates.push({ url, index: start });
+    }
+
+    return candidates;
+}
+
+/**
+ * Tokenizes CSS to find url(...), @import and image-set() references, skipping comments.
+ * url(...) inside @font-face is treated as a font, elsewhere as an image unless the extension says otherwise.
+ * @param {string} css
+ * @param {string|null} baseUrl
+ * @returns {Array<Object>}
+ */
+function extractCssReferences(css, baseUrl) {
+    const references = [];
+    let i = 0;
+    let parenDepth = 0;
+    let braceDepth = 0;
+    let imageSetDepth = -1; // paren depth image-set() was opened at
+    let fontFaceDepth = -1; // brace depth of the current @font-face block
+    let pendingFontFace = false;
+    let pendingImport = false;
+
+    const addReference = (value, index, type) => {
+        const raw = value.trim();
+        if (isSkippableUrl(raw)) return;
+        const start = index + value.indexOf(raw);
+        references.push({ raw, url: resolveAssetUrl(raw, baseUrl), index: start, offset: start, type });
+    };
+
+    while (i < css.length) {
+        const char = css[i];
+
+        if (char === '/' && css[i + 1] === '*') {
+            const end = css.indexOf('*/', i + 2);
+            i = end === -1 ? css.length : end + 2;
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            const end = findStringEnd(css, i);
+            if (pendingImport || imageSetDepth !== -1) {
+                addReference(css.slice(i + 1, end), i + 1, pendingImport ? 'css' : 'images');
+            }
+            pendingImport = false;
+            i = end + 1;
+            continue;
+        }
+
+        if (/^url\(/i.test(css.slice(i, i + 4)) && !/[\w-]/.test(css[i - 1] || '')) {
+            const type = pendingImport ? 'css' : fontFaceDepth !== -1 ? 'fonts' : 'images';
+            let j = i + 4;
+            while (/\s/.test(css[j] || '')) j++;
+
+            if (css[j] === '"' || css[j] === "'") {
+                const end = findStringEnd(css, j);
+                addReference(css.slice(j + 1, end), j + 1, type);
+                j = end + 1;
+            } else {
+                const close = css.indexOf(')', j);
+                addReference(css.slice(j, close === -1 ? css.length : close), j, type);
+            }
+
+            const close = css.indexOf(')', j);
+            pendingImport = false;
+            i = close === -1 ? css.length : close + 1;
+            continue;
+        }
+
+        if (char === '@') {
+            const keyword = (css.slice(i + 1).match(/^[\w-]+/) || [''])[0].toLowerCase();
+            if (keyword === 'import') pendingImport = true;
+            if (keyword === 'font-face') pendingFontFace = true;
+            i += keyword.length + 1;
+            continue;
+        }
+
+        if (char === '(') {
+            if (imageSetDepth === -1 && /image-set$/i.test(css.slice(Math.max(0, i - 17), i))) {
+                imageSetDepth = parenDepth;
+            }
+            parenDepth++;
+        } else if (char === ')') {
+            parenDepth--;
+            if (parenDepth === imageSetDepth) imageSetDepth = -1;
+        } else if (char === '{') {
+            braceDepth++;
+            if (pendingFontFace) {
+                fontFaceDepth = braceDepth;
+                pendingFontFace = false;
+            }
+        } else if (char === '}') {
+            if (braceDepth === fontFaceDepth) fontFaceDepth = -1;
+            braceDepth--;
+        } else if (char === ';') {
+            pendingImport = false;
+        }
+        i++;
+    }
+
+    return references;
+}
+
+/**
+ * Scans JS string and template literals for asset URLs, skipping comments and regex literals.
+ * Template literals are evaluated against simple string constants declared in the same file
+ * (e.g. const CDN = 'https://cdn.example.com'; `${CDN}/hero.png`). Relative paths count only
+ * when they look like one (img/hero.png, ./a.css, /b.js) or sit in a CSS url(...), so strings
+ * such as querySelector('.btn.css') or a bare 'app.js' label are not taken for assets.
+ * @param {string} js
+ * @param {string|null} baseUrl
+ * @returns {Array<Object>}
+ */
+function extractJsReferences(js, baseUrl) {
+    const references = [];
+    const constants = collectStringConstants(js);
+
+    // Finds URLs in a literal made of static text and ${...} expressions, mapping them back to the source
+    const addLiteral = (segments, anchor) => {
+        let output = '';
+        const map = segments.map(segment => {
+            const text = segment.static ? segment.text : (constants.get(segment.expression) ?? ' ');
+            const entry = { ...segment, outStart: output.length, outEnd: output.length + text.length };
+            output += text;
+            return entry;
+        });
+
+        const found = findAssetReferences(`"${output}"`, baseUrl)
+            .map(ref => ({ ...ref, index: ref.index - 1 }))
+            .filter(ref => /^([a-z][a-z\d+.-]*:|\/\/)/i.test(ref.raw) || ref.raw.includes('/') || /url\(\s*['"]?$/i.test(output.slice(0, ref.index)));
+
+        // Whole-literal URLs without an extension (e.g. CDN transform URLs with ?format=webp)
+        const whole = output.trim();
+        if (found.length === 0 && /^(https?:)?\/\/[^\s"'<>]+$/.test(whole) && getAssetType(resolveAssetUrl(whole, baseUrl))) {
+            found.push({ raw: whole, url: resolveAssetUrl(whole, baseUrl), index: output.indexOf(whole) });
+        }
+
+        found.forEach(ref => {
+            const start = mapLiteralIndex(map, ref.index, 'start');
+            const end = mapLiteralIndex(map, ref.index + ref.raw.length, 'end');
+            const rewritable = start !== null && end !== null;
+            references.push({
+                raw: rewritable ? js.slice(start, end) : ref.raw,
+                url: ref.url,
+                index: rewritable ? start : null,
+                offset: rewritable ? start : anchor,
+                type: null
+            });
+        });
+    };
+
+    // Scans code from `start`; with `untilBrace`, stops at the "}" closing a template expression
+    const scan = (start, untilBrace) => {
+        let i = start;
+        let depth = 0;
+        let lastToken = '';
+
+        while (i < js.length) {
+            const char = js[i];
+
+            if (char === '/' && js[i + 1] === '/') {
+                const end = js.indexOf('\n', i);
+                i = end === -1 ? js.length : end;
+                continue;
+            }
+            if (char === '/' && js[i + 1] === '*') {
+                const end = js.indexOf('*/', i + 2);
+                i = end === -1 ? js.length : end + 2;
+                continue;
+            }
+            if (char === '"' || char === "'") {
+                const end = findStringEnd(js, i);
+                addLiteral([{ static: true, text: js.slice(i + 1, end), srcStart: i + 1, srcEnd: end }], i);
+                lastToken = '"';
+                i = end + 1;
+                continue;
+            }
+            if (char === '`') {
+                i = scanTemplate(i);
+                lastToken = '`';
+                continue;
+            }
+            if (char === '/' && (lastToken === '' || /^[(,=:[!&|?{};+\-*%<>~^]$/.test(lastToken) || JS_REGEX_KEYWORDS.includes(lastToken))) {
+                i = skipRegexLiteral(js, i);
+                lastToken = '/';
+                continue;
+            }
+            if (/[\w$]/.test(char)) {
+                const word = js.slice(i).match(/^[\w$]+/)[0];
+                lastToken = word;
+                i += word.length;
+                continue;
+            }
+
+            if (untilBrace) {
+                if (char === '{') depth++;
+                if (char === '}' && depth-- === 0) return i;
+            }
+            if (!/\s/.test(char)) lastToken = char;
+            i++;
+        }
+
+        return i;
+    };
+
+    const scanTemplate = (start) => {
+        const segments = [];
+        let i = start + 1;
+        let chunkStart = i;
+
+        while (i < js.length && js[i] !== '`') {
+            if (js[i] === '\\') {
+                i += 2;
+            } else if (js[i] === '$' && js[i + 1] === '{') {
+                segments.push({ static: true, text: js.slice(chunkStart, i), srcStart: chunkStart, srcEnd: i });
+                const close = scan(i + 2, true);
+                segments.push({ static: false, expression: js.slice(i + 2, close).trim(), srcStart: i, srcEnd: close + 1 });
+                i = close + 1;
+                chunkStart = i;
+            } else {
+                i++;
+            }
+        }
+        segments.push({ static: true, text: js.slice(chunkStart, i), srcStart: chunkStart, srcEnd: i });
+        addLiteral(segments, start);
+
+        return i + 1;
+    };
+
+    scan(0, false);
+    return references;
+}
+
+/**
+ * Collects `const NAME = 'literal'` style declarations so template literals can be resolved.
+ * @param {string} js
+ * @returns {Map<string, string>}
+ */
+function collectStringConstants(js) {
+    const constants = new Map();
+    const declarationRegex = /\b(?:const|let|var)\s+([\w$]+)\s*=\s*(['"`])((?:\\.|(?!\2)[^\\\n])*)\2/g;
+
+    for (const [, name, quote, value] of js.matchAll(declarationRegex)) {
+        if (quote === '`' && value.includes('${')) continue;
+        if (!constants.has(name)) constants.set(name, value);
+    }
+
+    return constants;
+}
+
+/**
+ * Maps a position in an evaluated literal back to the source.
+ * An expression can only be mapped from its first character (start) or after its last (end).
+ * @returns {number|null}
+ */
+function mapLiteralIndex(map, position, edge) {
+    for (const segment of map) {
+        if (position < segment.outStart || position > segment.outEnd) continue;
+        if (segment.static) return segment.srcStart + (position - segment.outStart);
+        if (edge === 'start' && position === segment.outStart) return segment.srcStart;
+        if (edge === 'end' && position === segment.outEnd) return segment.srcEnd;
+    }
+    return null;
+}
+
+/**
+ * Returns the index of the quote closing the string that opens at `start`.
+ * @param {string} text
+ * @param {number} start
+ * @returns {number}
+ */
+function findStringEnd(text, start) {
+    const quote = text[start];
+    let i = start + 1;
+
+    while (i < text.length) {
+        if (text[i] === '\\') {
+            i += 2;
+            continue;
+        }
+        if (text[i] === quote || text[i] === '\n') return i;
+        i++;
+    }
+
+    return text.length;
+}
+
+/**
+ * Returns the index right after the regex literal (and flags) that opens at `start`.
+ * @param {string} js
+ * @param {number} start
+ * @returns {number}
+ */
+function skipRegexLiteral(js, start) {
+    let i = start + 1;
+    let inClass = false;
+
+    while (i < js.length && js[i] !== '\n') {
+        if (js[i] === '\\') {
+            i += 2;
+            continue;
+        }
+        if (js[i] === '[') inClass = true;
+        else if (js[i] === ']') inClass = false;
+        else if (js[i] === '/' && !inClass) {
+            i++;
+            while (/[a-z]/i.test(js[i] || '')) i++;
+            return i;
+        }
+        i++;
+    }
+
+    return i;
+}
+
+/**
+ * Tells whether a reference is not a fetchable asset (data URIs, anchors, javascript:, etc.).
+ * @param {string} raw
+ * @returns {boolean}
+ */
+function isSkippableUrl(raw) {
+    return !raw || /^(data|blob|about|javascript|mailto|tel):|^#/i.test(raw);
+}
+
+/**
+ * Creates a function turning a text index into a 1-based line and column.
+ * @param {string} text
+ * @returns {Function} (index) => { line, column }
+ */
+function createLineLocator(text) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    return (index) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= index) low = mid;
+            else high = mid - 1;
+        }
+        return { line: low + 1, column: index - lineStarts[low] + 1 };
+    };
+}
+
+/**
+ * The line around a reference, cut to a few dozen characters on each side, for showing
+ * where an asset is used. Long matches (e.g. data URIs) are shortened too.
+ * @param {string} text
+ * @param {number} offset Index of the reference
+ * @param {number} length Length of the reference as written
+ * @returns {{before: string, match: string, after: string}}
+ */
+function getSourceSnippet(text, offset, length) {
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    const lineEnd = text.indexOf('\n', offset + length);
+    const end = lineEnd === -1 ? text.length : lineEnd;
+
+    const before = text.slice(Math.max(lineStart, offset - SNIPPET_CONTEXT), offset).replace(/^\s+/, '');
+    const match = text.slice(offset, offset + length);
+    const after = text.slice(offset + length, Math.min(end, offset + length + SNIPPET_CONTEXT)).replace(/\s+$/, '');
+
+    return {
+        before: (offset - SNIPPET_CONTEXT > lineStart ? '…' : '') + before,
+        match: match.length > SNIPPET_MAX_MATCH ? `${match.slice(0, SNIPPET_MAX_MATCH)}…` : match,
+        after: after + (offset + length + SNIPPET_CONTEXT < end ? '…' : '')
+    };
+}
+
+
+/*  ==================================================
+    INLINE DATA URI & SVG EXTRACTION LOGIC
+    ================================================== */
+const INLINE_ASSET_PREFIX = 'inline:'; // Pseudo-URL of an extracted asset: inline:<content hash>.<extension>
+
+/**
+ * Finds data: URIs and (optionally, in HTML) inline <svg> elements in a source file and
+ * decodes them into asset files with content-hashed names. Results are shaped like references
+ * ({ raw, url, index, offset, type }) so they go through the same preview, naming and rewriting;
+ * inline SVG markup has no index because it is extracted, not replaced.
+ * @param {string} text
+ * @param {string} filename Used to detect HTML
+ * @param {Object} [options]
+ * @param {boolean} [options.svg] Also extract inline <svg> elements
+ * @returns {Promise<Array>} References plus { blob, mime, hash, name }
+ */
+async function findInlineAssets(text, filename, { svg = false } = {}) {
+    const found = [
+        ...findDataUris(text),
+        ...(svg && /\.html?$/i.test(filename) ? findInlineSvgs(text) : [])
+    ];
+
+    return Promise.all(found.map(async ({ raw, index, mime, blob, rewritable }) => {
+        const hash = await hashBlob(blob);
+        const extension = MIME_TYPES[mime] ? MIME_TYPES[mime].extensions[0] : mime.split('/')[1].replace(/[^a-z0-9].*$/, '');
+
+        return {
+            raw,
+            url: `${INLINE_ASSET_PREFIX}${hash.slice(0, 16)}.${extension}`,
+            index: rewritable ? index : null,
+            offset: index,
+            type: getInlineAssetType(mime),
+            blob,
+            mime,
+            hash,
+            name: `inline-${hash.slice(0, 8)}.${extension}`
+        };
+    }));
+}
+
+/**
+ * Finds data: URIs of images, fonts and videos. The payload ends at the quote or bracket
+ * that opened it, so unencoded SVG markup (spaces, other quotes) stays whole.
+ * @param {string} text
+ * @returns {Array<{raw: string, index: number, mime: string, blob: Blob, rewritable: boolean}>}
+ */
+function findDataUris(text) {
+    const found = [];
+    const pattern = /data:([a-z]+\/[\w.+-]+)((?:;(?!base64[;,])[\w-]+(?:=[^;,]*)?)*)(;base64)?,/gi;
+    let match;
+
+    while ((match = pattern.exec(text))) {
+        const start = match.index + match[0].length;
+        const opener = text[match.index - 1];
+        const isBase64 = Boolean(match[3]);
+
+        let end;
+        if (isBase64) {
+            end = text.slice(start).search(/[^A-Za-z0-9+/=]/);
+            end = end === -1 ? text.length : start + end;
+        } else {
+            end = opener === '"' || opener === "'" ? text.indexOf(opener, start) : opener === '(' ? text.indexOf(')', start) : start + text.slice(start).search(/[\s"'<>)]|$/);
+            if (end === -1) end = text.length;
+        }
+        pattern.lastIndex = end;
+
+        const mime = match[1].toLowerCase();
+        if (!getInlineAssetType(mime)) continue;
+
+        try {
+            found.push({
+                raw: text.slice(match.index, end),
+                index: match.index,
+                mime,
+                blob: decodeDataUri(text.slice(start, end), mime, isBase64),
+                rewritable: true
+            });
+        } catch (err) {
+            // Malformed payload: leave it inline
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Finds inline <svg> elements in HTML, outside comments, <script> and <style>.
+ * @param {string} text
+ * @returns {Array<{raw: string, index: number, mime: string, blob: Blob, rewritable: boolean}>}
+ */
+function findInlineSvgs(text) {
+    const found = [];
+    const pattern = /<!--[\s\S]*?-->|<(script|style)\b[\s\S]*?<\/\1\s*>|<svg\b[\s\S]*?<\/svg\s*>/gi;
+    let match;
+
+    while ((match = pattern.exec(text))) {
+        if (!/^<svg/i.test(match[0])) continue;
+
+        // A standalone .svg file needs the namespace that HTML lets inline SVG omit
+        const markup = /^<svg\b[^>]*\sxmlns=/i.test(match[0]) ? match[0] : match[0].replace(/^<svg\b/i, '<svg xmlns="http://www.w3.org/2000/svg"');
+        found.push({
+            raw: match[0],
+            index: match.index,
+            mime: 'image/svg+xml',
+            blob: new Blob([markup], { type: 'image/svg+xml' }),
+            rewritable: false
+        });
+    }
+
+    return found;
+}
+
+/**
+ * Decodes a data: URI payload.
+ * @param {string} payload Everything after the comma
+ * @param {string} mime
+ * @param {boolean} isBase64
+ * @returns {Blob}
+ */
+function decodeDataUri(payload, mime, isBase64) {
+    if (isBase64) {
+        return new Blob([Uint8Array.from(atob(payload), char => char.charCodeAt(0))], { type: mime });
+    }
+    return new Blob([decodeURIComponent(payload)], { type: mime });
+}
+
+/**
+ * Encodes a blob as a base64 data: URI.
+ * @param {Blob} blob
+ * @param {string} mime
+ * @returns {Promise<string>}
+ */
+async function blobToDataUri(blob, mime) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${mime};base64,${btoa(binary)}`;
+}
+
+/**
+ * Asset type of an inline payload, or null for content that is not an asset (e.g. text/plain).
+ * @param {string} mime
+ * @returns {string|null}
+ */
+function getInlineAssetType(mime) {
+    const info = MIME_TYPES[mime];
+    if (info && MEDIA_TYPES.includes(info.type)) return info.type;
+    if (/^image\//.test(mime)) return 'images';
+    if (/^(font|application\/(x-)?font)/.test(mime)) return 'fonts';
+    if (/^video\//.test(mime)) return 'videos';
+    return null;
+}
+
+/**
+ * @param {string} url
+ * @returns {boolean} Whether the URL is the pseudo-URL of an extracted inline asset
+ */
+function isInlineAssetKey(url) {
+    return url.startsWith(INLINE_ASSET_PREFIX);
+}
+
+
+/*  ==================================================
+    VALIDATE ASSET URLS VIA FETCH() LOGIC
+    ================================================== */
+/**
+ * Fetches each URL and keeps only those that can be downloaded.
+ * Downloads go through a queue limited to `concurrency` parallel requests, each with a timeout
+ * and retries, and stop early when `signal` aborts (downloaded assets are kept).
+ * Fetched CSS/JS assets are crawled for their own dependencies (fonts, images, @import...)
+ * up to `options.maxDepth` levels deep.
+ * With `options.proxyUrl`, a URL the browser cannot reach directly (network/CORS error) is
+ * fetched again through that proxy; failures record which paths were tried.
+ * `options.headers(url)` adds request headers, e.g. a browser User-Agent from Node, where font
+ * stylesheet APIs would otherwise serve CSS for other font formats than the web app gets.
+ * @param {Object} assets Object of Sets: images, gifs, videos, css, js, fonts
+ * @param {Object} options { include, maxDepth, concurrency, timeout, retries, proxyUrl, headers, cached, signal, onStatus }
+ */
+async function validateAndFetchAssets(assets, options = {}) {
+    const {
+        include = {},
+        maxDepth = 0,
+        concurrency = 6,
+        timeout = 20000,
+        retries = 2,
+        proxyUrl = '',
+        headers = () => ({}),
+        cached = new Map(),
+        signal = null,
+        onStatus = () => {}
+    } = options;
+    const enqueue = createTaskQueue(concurrency);
+    const result = {
+        valid: {
+            images: new Map(),
+            gifs: new Map(),
+            videos: new Map(),
+            fonts: new Map(),
+            css: new Map(),
+            js: new Map()
+        },
+        urls: new Map(), // Asset URL -> { type, filename, hash, mime, size, proxied } of the stored file
+        discovered: new Map(), // Dependency URL -> { type, parent } for assets found while crawling
+        parents: new Map(), // Dependency URL -> Set of every crawled asset referencing it, also for URLs already queued
+        failed: [],
+        cancelled: false
+    };
+
+    const records = []; // every successful download: { url, type, name, blob, hash, mime, proxied }
+    const seenUrls = new Set(); // cycle detection for the dependency crawl
+
+    // Direct download first; network/CORS errors go through the proxy when one is set
+    const download = async (url, via) => {
+        onStatus(url, 'downloading');
+        const fetchOptions = {
+            timeout,
+            retries,
+            headers: headers(url),
+            signal,
+            onRetry: (attempt, reason) => onStatus(url, 'retrying', `${reason} — retry ${attempt} of ${retries}${via.length ? ' (CORS proxy)' : ''}`)
+        };
+
+        try {
+            return await fetchWithRetry(url, { ...fetchOptions, retryNetworkErrors: !proxyUrl });
+        } catch (err) {
+            via.push('direct');
+            if (!proxyUrl || !err.isNetworkError || (signal && signal.aborted)) throw err;
+
+            onStatus(url, 'retrying', `${err.message} — trying the CORS proxy`);
+            try {
+                const blob = await fetchWithRetry(getProxiedUrl(url, proxyUrl), fetchOptions);
+                via.push('proxy');
+                return blob;
+            } catch (proxyErr) {
+                via.push('proxy');
+                throw new Error(`${err.message}; through the CORS proxy: ${proxyErr.message}`);
+            }
+        }
+    };
+
+    const fetchAsset = (url, type, depth, parent) => {
+        onStatus(url, 'queued');
+        const via = []; // paths tried: 'direct', 'proxy'
+
+        // Content already at hand (e.g. from a devpack being rebuilt) is not downloaded again
+        const fetched = cached.has(url)
+            ? Promise.resolve(cached.get(url))
+            : enqueue(() => download(url, via));
+
+        return fetched
+            .then(async (blob) => {
+                const asset = await identifyAsset(blob, url, type);
+                const proxied = via.includes('proxy');
+                records.push({ url, ...asset, hash: await hashBlob(asset.blob), proxied });
+                onStatus(url, 'done', cached.has(url) ? 'Reused from the opened devpack' : proxied ? 'Downloaded through the CORS proxy' : '');
+
+                if ((asset.type === 'css' || asset.type === 'js') && (depth < maxDepth || isFontCssUrl(url))) {
+                    await crawlDependencies(await asset.blob.text(), url, asset.type, depth + 1);
+                }
+            })
+            .catch(err => {
+                result.failed.push({
+                    url,
+                    type,
+                    reason: err.message,
+                    parent,
+                    ...(via.length ? { tried: via } : {})
+                });
+                onStatus(url, signal && signal.aborted ? 'cancelled' : 'failed', err.message);
+            });
+    };
+
+    const crawlDependencies = (text, parentUrl, parentType, depth) => {
+        const childFetches = [];
+
+        findDependencyReferences(text, parentType, parentUrl).forEach(ref => {
+            const { url } = ref;
+            const type = getReferenceType(ref);
+            if (!type || !include[type]) return;
+
+            if (!result.parents.has(url)) result.parents.set(url, new Set());
+            result.parents.get(url).add(parentUrl);
+            if (seenUrls.has(url)) return;
+
+            seenUrls.add(url);
+            result.discovered.set(url, { type, parent: parentUrl });
+            childFetches.push(fetchAsset(url, type, depth, parentUrl));
+        });
+
+        return Promise.all(childFetches);
+    };
+
+    const allFetches = [];
+
+    for (const [type, urls] of Object.entries(assets)) {
+        for (let rawUrl of urls) {
+            let url = rawUrl.trim();
+
+            // Fix protocol-relative URLs (e.g. //cdn.jsdelivr.net)
+            if (url.startsWith('//')) {
+                url = 'https:' + url;
+            }
+
+            // Skip invalid/local URLs
+            if (!/^https?:\/\//.test(url)) {
+                const reason = 'Unsupported or local path (set a Site base URL to resolve relative paths)';
+                result.failed.push({
+                    url: rawUrl,
+                    type,
+                    reason
+                });
+                onStatus(rawUrl, 'failed', reason);
+                continue;
+            }
+
+            seenUrls.add(url);
+            allFetches.push(fetchAsset(url, type, 0, null));
+        }
+    }
+
+    await Promise.all(allFetches);
+    result.cancelled = Boolean(signal && signal.aborted);
+
+    // Store identical content once (first URL in sort order wins, so runs are reproducible)
+    const byHash = new Map();
+    [...records].sort((a, b) => a.url.localeCompare(b.url)).forEach(record => {
+        if (!byHash.has(record.hash)) byHash.set(record.hash, record);
+    });
+
+    // Name the stored files per type folder
+    const names = new Map(); // hash -> file name
+    Object.values(groupBy([...byHash.values()], 'type')).forEach(group => {
+        assignUniqueNames(group.map(({ name, hash }) => ({ key: hash, name, hash })))
+            .forEach((name, hash) => names.set(hash, name));
+    });
+
+    byHash.forEach((record, hash) => result.valid[record.type].set(names.get(hash), record.blob));
+    records.forEach(({ url, hash, proxied }) => {
+        const stored = byHash.get(hash);
+        result.urls.set(url, {
+            type: stored.type,
+            filename: names.get(hash),
+            hash,
+            mime: stored.mime,
+            size: stored.blob.size,
+            ...(proxied ? { proxied } : {})
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Finds the assets a fetched stylesheet or script depends on.
+ * CSS: every url(...), @import and image-set(), relative ones resolved against the stylesheet's own URL.
+ * JS: absolute asset URLs only, as relative paths in scripts resolve against the host page.
+ * @param {string} text
+ * @param {string} type css or js
+ * @param {string} baseUrl URL the text was fetched from
+ * @returns {Array<Object>} References, see findFileReferences
+ */
+function findDependencyReferences(text, type, baseUrl) {
+    const references = type === 'css' ? extractCssReferences(text, baseUrl) : extractJsReferences(text, null);
+    return references.filter(ref => /^https?:\/\//.test(ref.url));
+}
+
+/**
+ * Returns the file name part of a URL, without query string or hash.
+ * @param {string} url
+ * @returns {string}
+ */
+function getFileName(url) {
+    return url.split(/[?#]/)[0].split('/').pop();
+}
+
+/**
+ * Groups an array of objects by key.
+ */
+function groupBy(arr, key) {
+    return arr.reduce((acc, item) => {
+        (acc[item[key]] ||= []).push(item);
+        return acc;
+    }, {});
+}
+
+
+/*  ==================================================
+    ASSET NAMING & CONTENT IDENTIFICATION LOGIC
+    ================================================== */
+// Known content types: the asset type they belong to and their valid file extensions
+const MIME_TYPES = {
+    'image/png': { type: 'images', extensions: ['png'] },
+    'image/jpeg': { type: 'images', extensions: ['jpg', 'jpeg', 'jpe', 'jfif'] },
+    'image/webp': { type: 'images', extensions: ['webp'] },
+    'image/avif': { type: 'images', extensions: ['avif'] },
+    'image/svg+xml': { type: 'images', extensions: ['svg'] },
+    'image/x-icon': { type: 'images', extensions: ['ico'] },
+    'image/vnd.microsoft.icon': { type: 'images', extensions: ['ico'] },
+    'image/gif': { type: 'gifs', extensions: ['gif'] },
+    'video/mp4': { type: 'videos', extensions: ['mp4', 'm4v'] },
+    'video/webm': { type: 'videos', extensions: ['webm'] },
+    'video/ogg': { type: 'videos', extensions: ['ogg', 'ogv'] },
+    'video/quicktime': { type: 'videos', extensions: ['mov'] },
+    'font/woff': { type: 'fonts', extensions: ['woff'] },
+    'font/woff2': { type: 'fonts', extensions: ['woff2'] },
+    'font/ttf': { type: 'fonts', extensions: ['ttf'] },
+    'font/otf': { type: 'fonts', extensions: ['otf'] },
+    'application/font-woff': { type: 'fonts', extensions: ['woff'] },
+    'application/x-font-ttf': { type: 'fonts', extensions: ['ttf'] },
+    'application/vnd.ms-fontobject': { type: 'fonts', extensions: ['eot'] },
+    'text/css': { type: 'css', extensions: ['css'] },
+    'text/javascript': { type: 'js', extensions: ['js', 'mjs'] },
+    'application/javascript': { type: 'js', extensions: ['js', 'mjs'] },
+    'application/x-javascript': { type: 'js', extensions: ['js', 'mjs'] }
+};
+
+// Binary asset types that may be reassigned when the bytes say otherwise
+const MEDIA_TYPES = ['images', 'gifs', 'videos', 'fonts'];
+
+/**
+ * Works out what a downloaded asset really is: content type sniffed from the bytes
+ * (falling back to the Content-Type header), the matching asset type and a file name
+ * with the right extension.
+ * @param {Blob} blob
+ * @param {string} url
+ * @param {string} declaredType Type guessed from the URL / reference
+ * @returns {Promise<{type: string, name: string, blob: Blob, mime: string|null}>}
+ */
+async function identifyAsset(blob, url, declaredType) {
+    const bytes = new Uint8Array(await blob.slice(0, 512).arrayBuffer());
+    const sniffed = sniffMimeType(bytes);
+
+    if (sniffed === 'text/html') {
+        throw new Error('Server returned an HTML page instead of the asset');
+    }
+
+    const mime = sniffed || (blob.type || '').split(';')[0].trim().toLowerCase() || null;
+    const info = MIME_TYPES[mime];
+    const type = info && MEDIA_TYPES.includes(declaredType) && MEDIA_TYPES.includes(info.type) ? info.type : declaredType;
+
+    // Fix or add the extension when it does not match the content
+    let name = getUrlFileName(url);
+    const extension = (name.match(/\.([a-z0-9]+)$/i) || [])[1];
+    const expected = info && info.type === type ? info.extensions : (type === 'css' || type === 'js' ? [type] : null);
+    if (expected && !(extension && expected.includes(extension.toLowerCase()))) {
+        const isAssetExtension = extension && Object.values(MIME_TYPES).some(known => known.extensions.includes(extension.toLowerCase()));
+        name = `${isAssetExtension ? name.slice(0, -extension.length - 1) : name}.${expected[0]}`;
+    }
+
+    return {
+        type,
+        name,
+        blob: mime && blob.type !== mime ? new Blob([blob], { type: mime }) : blob,
+        mime
+    };
+}
+
+/**
+ * Detects a content type from a file's first bytes (magic numbers).
+ * @param {Uint8Array} bytes
+ * @returns {string|null}
+ */
+function sniffMimeType(bytes) {
+    const startsWith = (...signature) => signature.every((byte, i) => bytes[i] === byte);
+    const ascii = (from, to) => String.fromCharCode(...bytes.slice(from, to));
+
+    if (startsWith(0x89, 0x50, 0x4E, 0x47)) return 'image/png';
+    if (startsWith(0xFF, 0xD8, 0xFF)) return 'image/jpeg';
+    if (ascii(0, 4) === 'GIF8') return 'image/gif';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(4, 8) === 'ftyp') {
+        const brand = ascii(8, 12);
+        if (/^avi[fs]$/.test(brand)) return 'image/avif';
+        if (brand === 'qt  ') return 'video/quicktime';
+        return 'video/mp4';
+    }
+    if (startsWith(0x1A, 0x45, 0xDF, 0xA3)) return 'video/webm';
+    if (ascii(0, 4) === 'OggS') return 'video/ogg';
+    if (ascii(0, 4) === 'wOFF') return 'font/woff';
+    if (ascii(0, 4) === 'wOF2') return 'font/woff2';
+    if (ascii(0, 4) === 'OTTO') return 'font/otf';
+    if (startsWith(0x00, 0x01, 0x00, 0x00) || ascii(0, 4) === 'true') return 'font/ttf';
+    if (startsWith(0x00, 0x00, 0x01, 0x00)) return 'image/x-icon';
+
+    const text = new TextDecoder().decode(bytes).replace(/^\uFEFF/, '').trimStart().toLowerCase();
+    if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg[\s>]/.test(text)) return 'image/svg+xml';
+    if (/^(<!--[\s\S]*?-->\s*)*(<!doctype html|<html[\s>])/.test(text)) return 'text/html';
+
+    return null;
+}
+
+/**
+ * Reads the pixel size of a PNG, JPEG, GIF, WebP or AVIF image from its header.
+ * @param {Blob} blob
+ * @returns {Promise<{width: number, height: number}|null>} null for other formats (e.g. SVG)
+ */
+async function getImageDimensions(blob) {
+    // JPEG metadata (EXIF, ICC profiles) can push the size well past the first bytes
+    const bytes = new Uint8Array(await blob.slice(0, 256 * 1024).arrayBuffer());
+    const ascii = (from, to) => String.fromCharCode(...bytes.slice(from, to));
+    const uint16 = (at, littleEndian = false) => (littleEndian ? bytes[at] | bytes[at + 1] << 8 : bytes[at] << 8 | bytes[at + 1]);
+    const uint32 = (at) => ((bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3]) >>> 0;
+
+    switch (sniffMimeType(bytes.slice(0, 512))) {
+        case 'image/png':
+            return { width: uint32(16), height: uint32(20) };
+        case 'image/gif':
+            return { width: uint16(6, true), height: uint16(8, true) };
+        case 'image/webp': {
+            const chunk = ascii(12, 16);
+            if (chunk === 'VP8 ') return { width: uint16(26, true) & 0x3FFF, height: uint16(28, true) & 0x3FFF };
+            if (chunk === 'VP8L') {
+                const bits = (bytes[21] | bytes[22] << 8 | bytes[23] << 16 | bytes[24] << 24) >>> 0;
+                return { width: (bits & 0x3FFF) + 1, height: ((bits >>> 14) & 0x3FFF) + 1 };
+            }
+            if (chunk === 'VP8X') {
+                return { width: 1 + (bytes[24] | bytes[25] << 8 | bytes[26] << 16), height: 1 + (bytes[27] | bytes[28] << 8 | bytes[29] << 16) };
+            }
+            return null;
+        }
+        case 'image/jpeg':
+            // Walk the segments up to the start-of-frame marker, which holds the size
+            for (let i = 2; i + 9 < bytes.length;) {
+                if (bytes[i] !== 0xFF) return null;
+                const marker = bytes[i + 1];
+                if (marker === 0xFF) {
+                    i++;
+                } else if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+                    return { width: uint16(i + 7), height: uint16(i + 5) };
+                } else {
+                    i += 2 + uint16(i + 2);
+                }
+            }
+            return null;
+        case 'image/avif': {
+            // Image spatial extents property: ispe, version/flags, width, height
+            const ispe = ascii(0, Math.min(bytes.length, 4096)).indexOf('ispe');
+            return ispe === -1 ? null : { width: uint32(ispe + 8), height: uint32(ispe + 12) };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Computes the SHA-256 hash of a file's content as a hex string.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+async function hashBlob(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Turns the last path segment of a URL into a safe file name.
+ * e.g. 'https://cdn.com/img/IMG%201.png?v=2' -> 'IMG-1.png'
+ * @param {string} url
+ * @returns {string}
+ */
+function getUrlFileName(url) {
+    let name = getFileName(url);
+    try {
+        name = decodeURIComponent(name);
+    } catch (err) {
+        // keep the encoded name
+    }
+    return sanitizeFileName(name) || 'asset';
+}
+
+/**
+ * Replaces characters that are unsafe in file names.
+ * @param {string} name
+ * @returns {string}
+ */
+function sanitizeFileName(name) {
+    return name.replace(/[^\w.@-]+/g, '-').replace(/^[-.]+|-+$/g, '');
+}
+
+/**
+ * Sanitizes every folder and the file name of a relative path; empty, "." and ".." parts are
+ * dropped, so the result always stays inside the devpack folder.
+ * e.g. 'src/My Variant/../a b.js' -> 'src/My-Variant/a-b.js'
+ * @param {string} path
+ * @returns {string}
+ */
+function sanitizeFilePath(path) {
+    return path.split(/[\\/]+/).map(sanitizeFileName).filter(Boolean).join('/');
+}
+
+/**
+ * Gives every entry a file name that is unique within the group (one folder).
+ * Entries claiming the same name with identical content share it; entries with different
+ * content all get a suffix derived from their hash, so names never depend on download order.
+ * Names are compared case-insensitively, as most file systems do.
+ * An entry marked `fixed` (a name already published, e.g. in a devpack being rebuilt) keeps its
+ * name, and only the other entries claiming it get the suffix.
+ * @param {Array<{key: *, name: string, hash: string, fixed?: boolean}>} entries
+ * @returns {Map} key -> unique file name
+ */
+function assignUniqueNames(entries) {
+    const names = new Map();
+    const byName = groupBy(entries.map(entry => ({ ...entry, lowerName: entry.name.toLowerCase() })), 'lowerName');
+
+    Object.values(byName).forEach(group => {
+        const hashes = new Set(group.map(entry => entry.hash));
+        const fixedHashes = new Set(group.filter(entry => entry.fixed).map(entry => entry.hash));
+        group.forEach(entry => {
+            const keepName = hashes.size === 1 || (fixedHashes.size === 1 && fixedHashes.has(entry.hash));
+            names.set(entry.key, keepName ? entry.name : addNameSuffix(entry.name, entry.hash.slice(0, 8)));
+        });
+    });
+
+    return names;
+}
+
+/**
+ * Inserts a suffix before the file extension. e.g. ('logo.png', 'ab12') -> 'logo-ab12.png'
+ * @param {string} name
+ * @param {string} suffix
+ * @returns {string}
+ */
+function addNameSuffix(name, suffix) {
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? `${name.slice(0, dot)}-${suffix}${name.slice(dot)}` : `${name}-${suffix}`;
+}
+
+/**
+ * Swaps the extension of a file name (or adds one).
+ * @param {string} name
+ * @param {string} extension Without the dot
+ * @returns {string}
+ */
+function replaceExtension(name, extension) {
+    const dot = name.lastIndexOf('.');
+    return `${dot > 0 ? name.slice(0, dot) : name}.${extension}`;
+}
+
+
+/*  ==================================================
+    DOWNLOAD QUEUE LOGIC (CONCURRENCY, TIMEOUT, RETRIES)
+    ================================================== */
+/**
+ * Creates a queue that runs at most `concurrency` async tasks at a time.
+ * @param {number} concurrency
+ * @returns {Function} (task) => Promise resolving with the task's result
+ */
+function createTaskQueue(concurrency) {
+    const limit = Math.max(1, concurrency);
+    const pending = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= limit || pending.length === 0) return;
+
+        const { task, resolve, reject } = pending.shift();
+        active++;
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return (task) => new Promise((resolve, reject) => {
+        pending.push({ task, resolve, reject });
+        next();
+    });
+}
+
+/**
+ * Downloads a URL as a Blob with a per-attempt timeout, retrying rate limits (429),
+ * server errors (5xx), timeouts and network errors with exponential backoff.
+ * A final network error (CORS, DNS, refused connection) is thrown with `isNetworkError` set.
+ * @param {string} url
+ * @param {Object} options { timeout, retries, retryNetworkErrors, headers, signal, onRetry }
+ * @returns {Promise<Blob>}
+ */
+async function fetchWithRetry(url, { timeout = 20000, retries = 2, retryNetworkErrors = true, headers = {}, signal = null, onRetry = () => {} } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        if (signal && signal.aborted) throw new Error('Cancelled');
+
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        const timer = setTimeout(abort, timeout);
+        signal && signal.addEventListener('abort', abort);
+
+        let res = null;
+        let error = null;
+        try {
+            res = await fetch(url, { headers, signal: controller.signal });
+            if (res.ok) {
+                return await res.blob();
+            }
+        } catch (err) {
+            error = err;
+        } finally {
+            clearTimeout(timer);
+            signal && signal.removeEventListener('abort', abort);
+        }
+
+        if (signal && signal.aborted) throw new Error('Cancelled');
+
+        // Client errors other than rate limiting will not get better by retrying
+        if (!error && res.status !== 429 && res.status < 500) {
+            throw new Error(`HTTP ${res.status}`);
+        }
+
+        const retryReason = error
+            ? (controller.signal.aborted ? `Timed out after ${timeout / 1000}s` : error.message)
+            : `HTTP ${res.status}`;
+        const retryAfter = error ? 0 : (parseInt(res.headers.get('Retry-After'), 10) || 0) * 1000;
+        const isNetworkError = Boolean(error) && !controller.signal.aborted;
+
+        if (attempt >= retries || (isNetworkError && !retryNetworkErrors)) {
+            throw Object.assign(new Error(retryReason), { isNetworkError });
+        }
+
+        onRetry(attempt + 1, retryReason);
+        const backoff = 500 * 2 ** attempt + Math.random() * 250;
+        await sleep(Math.min(Math.max(backoff, retryAfter), 30000), signal);
+    }
+}
+
+/**
+ * Builds the proxy URL for an asset: `{url}` in the proxy setting is replaced with the
+ * encoded asset URL, otherwise it is appended (e.g. http://localhost:8787/?url=).
+ * @param {string} url
+ * @param {string} proxyUrl
+ * @returns {string}
+ */
+function getProxiedUrl(url, proxyUrl) {
+    return proxyUrl.includes('{url}') ? proxyUrl.replace('{url}', encodeURIComponent(url)) : proxyUrl + encodeURIComponent(url);
+}
+
+/**
+ * Waits for `ms` milliseconds, rejecting early if `signal` aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        signal && signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new Error('Cancelled'));
+        }, { once: true });
+    });
+}
+
+
+/*  ==================================================
+    DEVPACK LAYOUT & PACKAGING LOGIC
+    ================================================== */
+// Devpack folder per asset type
+const ASSET_FOLDERS = {
+    images: 'assets/images',
+    gifs: 'assets/gifs',
+    videos: 'assets/videos',
+    fonts: 'assets/fonts',
+    js: 'script',
+    css: 'style'
+};
+
+/**
+ * Returns the devpack folder an asset type is packaged into, per the layout ('' = root folder).
+ * @param {string} type
+ * @param {Object} layout { zipName, rootFolder, folders }, see LAYOUT_PRESETS
+ * @returns {string}
+ */
+function getAssetFolder(type, layout) {
+    return layout.folders[type] ?? ASSET_FOLDERS[type] ?? 'assets';
+}
+
+/**
+ * Builds the relative path from one devpack file to another.
+ * e.g. ('style/main.css', 'assets/fonts/a.woff2') -> '../assets/fonts/a.woff2'
+ * @param {string} fromPath
+ * @param {string} toPath
+ * @returns {string}
+ */
+function getRelativePath(fromPath, toPath) {
+    const fromParts = fromPath.split('/').slice(0, -1);
+    const toParts = toPath.split('/');
+
+    while (fromParts.length && toParts.length > 1 && fromParts[0] === toParts[0]) {
+        fromParts.shift();
+        toParts.shift();
+    }
+
+    return '../'.repeat(fromParts.length) + toParts.join('/');
+}
+
+// Built-in layouts. Names accept {name}, {number}, {date} (e.g. 19-october-2025) and {date:YYYY-MM-DD}
+const LAYOUT_PRESETS = {
+    default: {
+        label: 'SPZ default',
+        zipName: 'Devpack-{name}-{date}.zip',
+        rootFolder: '{name}-devpack',
+        folders: { ...ASSET_FOLDERS }
+    },
+    numbered: {
+        label: 'Numbered test',
+        zipName: '{number}-{name}-{date:YYYY-MM-DD}.zip',
+        rootFolder: '{number}-{name}',
+        folders: { ...ASSET_FOLDERS }
+    },
+    byType: {
+        label: 'Folder per type',
+        zipName: '{name}-{date:YYYY-MM-DD}.zip',
+        rootFolder: '{name}',
+        folders: { images: 'images', gifs: 'images', videos: 'videos', fonts: 'fonts', js: 'js', css: 'css' }
+    },
+    flat: {
+        label: 'Single assets folder',
+        zipName: '{name}.zip',
+        rootFolder: '{name}',
+        folders: { images: 'assets', gifs: 'assets', videos: 'assets', fonts: 'assets', js: 'assets', css: 'assets' }
+    }
+};
+
+/**
+ * Builds the ZIP file name and root folder of the devpack from a layout.
+ * @param {string} name Devpack (test) name
+ * @param {string} number Test number
+ * @param {Object} layout See LAYOUT_PRESETS
+ * @param {Date} [date]
+ * @returns {{filename: string, folderName: string}}
+ */
+function getDevpackNames(name, number, layout, date = new Date()) {
+    const values = { name, number, date };
+    const filename = sanitizeFileName(expandNameTemplate(layout.zipName, values)) || sanitizeFileName(name) || 'devpack';
+
+    return {
+        filename: /\.zip$/i.test(filename) ? filename : `${filename}.zip`,
+        folderName: sanitizeFileName(expandNameTemplate(layout.rootFolder, values))
+    };
+}
+
+/**
+ * Replaces {name}, {number}, {date} and {date:FORMAT} tokens. Unknown tokens are kept as typed.
+ * @param {string} template
+ * @param {{name: string, number: string, date: Date}} values
+ * @returns {string}
+ */
+function expandNameTemplate(template, values) {
+    return template.replace(/\{(\w+)(?::([^}]+))?\}/g, (token, key, format) => {
+        if (key === 'date') {
+            return format ? formatDate(values.date, format) : values.date.toLocaleDateString('en-GB', {
+                day: '2-digit',
+                month: 'long',
+                year: 'numeric'
+            }).replace(/ /g, '-').toLowerCase();
+        }
+        return key in values ? values[key] : token;
+    });
+}
+
+/**
+ * Formats a date with YYYY, YY, MMMM (month name), MM and DD placeholders.
+ * @param {Date} date
+ * @param {string} format e.g. 'YYYY-MM-DD'
+ * @returns {string}
+ */
+function formatDate(date, format) {
+    const parts = {
+        YYYY: String(date.getFullYear()),
+        YY: String(date.getFullYear()).slice(-2),
+        MMMM: date.toLocaleDateString('en-GB', { month: 'long' }).toLowerCase(),
+        MM: String(date.getMonth() + 1).padStart(2, '0'),
+        DD: String(date.getDate()).padStart(2, '0')
+    };
+    return format.replace(/YYYY|YY|MMMM|MM|DD/g, part => parts[part]);
+}
+
+/**
+ * Gives stored files their final names: unique per layout folder, as types may share one
+ * (see assignUniqueNames; files marked `fixed` keep their name).
+ * @param {Array<{hash: string, type: string, name: string, fixed: boolean}>} files
+ * @param {Object} layout See LAYOUT_PRESETS
+ * @returns {Map} hash -> file name
+ */
+function assignPackagedNames(files, layout) {
+    const names = new Map();
+    Object.values(groupBy(files.map(file => ({ ...file, folder: getAssetFolder(file.type, layout) })), 'folder')).forEach(group => {
+        assignUniqueNames(group.map(({ hash, name, fixed }) => ({ key: hash, name, hash, fixed })))
+            .forEach((name, hash) => names.set(hash, name));
+    });
+    return names;
+}
+
+/**
+ * Returns the variation a source file belongs to: the variation folder its path starts with.
+ * e.g. ('control/variant.js', ['control', 'v1']) -> 'control'
+ * @param {string} path Source file path (its name)
+ * @param {string[]} variations Variation folder names
+ * @returns {string|null} null for files outside every variation (shared)
+ */
+function getFileVariation(path, variations) {
+    const [folder, ...rest] = path.split('/');
+    return rest.length > 0 && variations.includes(folder) ? folder : null;
+}
+
+/**
+ * Finds the variations using each asset: those of the source files referencing it, and for a
+ * dependency, those of every asset referencing it.
+ * @param {string[]} urls Asset URLs
+ * @param {string[]} variations Variation folder names
+ * @param {Object} scan { occurrences, discovered, parents }, see extractAssetsFromFiles and validateAndFetchAssets
+ * @returns {Map} Asset URL -> Set of variation names (null for shared source files)
+ */
+function getAssetVariations(urls, variations, { occurrences = new Map(), discovered = new Map(), parents = new Map() } = {}) {
+    const used = new Map();
+
+    const visit = (url, visiting) => {
+        if (used.has(url)) return used.get(url);
+        if (visiting.has(url)) return new Set();
+        visiting.add(url);
+
+        const result = new Set((occurrences.get(url) || []).map(({ file }) => getFileVariation(file, variations)));
+        const dependency = discovered.get(url);
+        const referencing = new Set(parents.get(url));
+        if (dependency && dependency.parent) referencing.add(dependency.parent);
+        referencing.forEach(parent => visit(parent, visiting).forEach(variation => result.add(variation)));
+
+        used.set(url, result);
+        return result;
+    };
+
+    urls.forEach(url => visit(url, new Set()));
+    return used;
+}
+
+/**
+ * Writes a devpack into an empty JSZip archive: assets in their layout folders, font stylesheets
+ * merged into one self-hosted fonts.css, the uploaded source files (asset references rewritten
+ * to the packaged files when `localize` is on) and the manifest.json / REPORT.html audit trail.
+ * With variations, each variation's source files sit in its own folder, and an asset used by
+ * a single variation is packaged in that folder; assets shared by several stay in the root ones.
+ * @param {JSZip} zip
+ * @param {Object} options
+ * @param {string} options.name Devpack name
+ * @param {string} [options.number] Test number
+ * @param {Object} options.layout See LAYOUT_PRESETS
+ * @param {Object} options.zipContent Asset type -> Map of file name -> Blob, names unique per folder (see assignPackagedNames)
+ * @param {Map} options.assetUrlMap Asset URL -> { type, filename, hash, mime, size, ... } of its packaged file
+ * @param {File[]} options.sourceFiles Uploaded source files
+ * @param {string[]} [options.variations] Variation folder names (see getFileVariation)
+ * @param {boolean} [options.localize] Rewrite asset references to the packaged files
+ * @param {boolean} [options.replaceInline] Replace extracted data URIs with the packaged files
+ * @param {Object} [options.baseUrlOptions] { baseUrl, fileBaseUrls }, see getFileBaseUrl
+ * @param {Map} [options.downloaded] Every downloaded asset URL -> info, to list the deselected ones
+ * @param {Object} [options.scan] Scan settings and results, see buildManifest
+ * @param {Object} [options.rebuiltFrom] Devpack this one was rebuilt from, see buildManifest
+ * @param {Object} [options.bundle] { assetBaseUrl, minify } to also write an injectable bundle.js, see buildInjectableBundle
+ * @returns {Promise<{filename: string, manifest: Object, unresolved: string[], bundles: Array}>} ZIP file name from the layout,
+ * the manifest, the asset URLs left pointing at their remote location and the bundles written
+ */
+async function packageDevpack(zip, options) {
+    const {
+        name,
+        number = '',
+        layout,
+        zipContent,
+        assetUrlMap,
+        sourceFiles,
+        variations = [],
+        localize = false,
+        replaceInline = false,
+        baseUrlOptions = {},
+        downloaded = new Map(),
+        scan = null,
+        rebuiltFrom = null,
+        bundle = null
+    } = options;
+    const { filename: zipFilename, folderName } = getDevpackNames(name, number, layout);
+    const root = folderName ? zip.folder(folderName) : zip;
+
+    // Font stylesheets (Google Fonts and the like) are merged into one self-hosted fonts.css
+    const fontStylesheets = [...assetUrlMap]
+        .filter(([url, { type }]) => type === 'css' && isFontCssUrl(url))
+        .sort(([a], [b]) => a.localeCompare(b));
+    const fontStylesheetNames = new Set(fontStylesheets.map(([, { filename }]) => filename));
+    const fontsCssName = [...zipContent.css.keys()].some(css => css.toLowerCase() === 'fonts.css' && !fontStylesheetNames.has(css))
+        ? 'fonts-self-hosted.css'
+        : 'fonts.css';
+
+    // Asset names are already unique per folder (see assignPackagedNames), so the path follows from the type folder
+    const getSharedPath = (type, filename) => [
+        getAssetFolder(type, layout),
+        type === 'css' && fontStylesheetNames.has(filename) ? fontsCssName : filename
+    ].filter(Boolean).join('/');
+
+    // Variation of each packaged file: the one variation using all its URLs, if there is one.
+    // The merged fonts.css and its fonts are shared.
+    const variationsByPath = new Map(); // shared path -> Set of variations using it
+    if (variations.length > 0) {
+        const usedBy = getAssetVariations([...assetUrlMap.keys()], variations, scan || {});
+        const fontUrls = new Set(fontStylesheets.map(([url]) => url));
+        const discovered = (scan && scan.discovered) || new Map();
+        assetUrlMap.forEach(({ type, filename }, url) => {
+            const sharedPath = getSharedPath(type, filename);
+            const dependency = discovered.get(url);
+            if (!variationsByPath.has(sharedPath)) variationsByPath.set(sharedPath, new Set());
+            if (fontUrls.has(url) || (dependency && fontUrls.has(dependency.parent))) {
+                variationsByPath.get(sharedPath).add(null);
+            } else {
+                usedBy.get(url).forEach(variation => variationsByPath.get(sharedPath).add(variation));
+            }
+        });
+    }
+    const getPackagedPath = (type, filename) => {
+        const sharedPath = getSharedPath(type, filename);
+        const [variation, ...others] = variationsByPath.get(sharedPath) || [];
+        return variation && others.length === 0 ? `${variation}/${sharedPath}` : sharedPath;
+    };
+
+    // Resolves an asset URL to the packaged file, relative to the file referencing it. A file never
+    // points into another variation's folder: each variation has to work when shipped alone.
+    const resolveLocalPath = (url, fromPath) => {
+        const asset = assetUrlMap.get(url);
+        if (!asset) return null;
+
+        const packagedPath = getPackagedPath(asset.type, asset.filename);
+        const variation = getFileVariation(packagedPath, variations);
+        if (variation && variation !== getFileVariation(fromPath, variations)) {
+            throw new Error(`${fromPath} would load ${packagedPath} from the ${variation} variation; ${url} should be shared`);
+        }
+        return getRelativePath(fromPath, packagedPath);
+    };
+
+    const unresolvedUrls = new Set();
+
+    // Write assets, pointing fetched CSS/JS at their packaged dependencies
+    const assetUrlsByPath = new Map([...assetUrlMap].map(([url, { type, filename }]) => [getPackagedPath(type, filename), url]));
+    for (const [type, files] of Object.entries(zipContent)) {
+        if (!(files instanceof Map)) continue;
+
+        for (const [filename, blob] of files) {
+            if (type === 'css' && fontStylesheetNames.has(filename)) continue;
+
+            const assetPath = getPackagedPath(type, filename);
+            const assetUrl = assetUrlsByPath.get(assetPath);
+
+            if (localize && assetUrl && (type === 'css' || type === 'js')) {
+                const text = await blob.text();
+                const references = findDependencyReferences(text, type, assetUrl);
+                const { text: localized, unresolved } = localizeReferences(text, url => resolveLocalPath(url, assetPath), references);
+                unresolved.forEach(url => unresolvedUrls.add(url));
+                root.file(assetPath, localized);
+            } else {
+                root.file(assetPath, blob);
+            }
+        }
+    }
+
+    if (fontStylesheets.length > 0) {
+        const fontsCssPath = getPackagedPath('css', fontsCssName);
+        const written = new Set();
+        const rules = [];
+
+        for (const [url, { filename }] of fontStylesheets) {
+            if (written.has(filename)) continue;
+            written.add(filename);
+
+            let text = await zipContent.css.get(filename).text();
+            if (localize) {
+                const localized = localizeReferences(text, fontUrl => resolveLocalPath(fontUrl, fontsCssPath), findDependencyReferences(text, 'css', url));
+                localized.unresolved.forEach(fontUrl => unresolvedUrls.add(fontUrl));
+                text = localized.text;
+            }
+            rules.push(`/* ${url} */\n${text.trim()}`);
+        }
+        root.file(fontsCssPath, rules.join('\n\n') + '\n');
+    }
+
+    // Name uploaded files with the same rules as assets, keeping their folders: identical content
+    // is written once, different files sharing a path get a content-derived suffix
+    const sourceNames = assignUniqueNames(await Promise.all(sourceFiles.map(async file => ({
+        key: file,
+        name: sanitizeFilePath(file.name),
+        hash: await hashBlob(file)
+    }))));
+    const writtenSources = new Map(); // file path -> uploaded file
+    const sourcePaths = new Set(sourceFiles.map(file => file.name));
+
+    // Asset references of a source file (not links to other uploads), and extracted data URIs still selected
+    const findPackagedReferences = async (file, source, { assets, inline }) => [
+        ...(assets ? findFileReferences(source, file.name, getFileBaseUrl(file, source, baseUrlOptions)).filter(ref => !sourcePaths.has(resolveSourcePath(ref.raw, file.name))) : []),
+        ...(inline ? (await findInlineAssets(source, file.name)).filter(ref => assetUrlMap.has(ref.url)) : [])
+    ];
+
+    for (const file of sourceFiles) {
+        const baseName = sourceNames.get(file);
+        if (writtenSources.has(baseName)) continue;
+        writtenSources.set(baseName, file);
+
+        if (localize || replaceInline) {
+            const source = await file.text();
+            const references = await findPackagedReferences(file, source, { assets: localize, inline: replaceInline });
+            const { text, unresolved } = localizeReferences(source, url => resolveLocalPath(url, baseName), references);
+            unresolved.forEach(url => unresolvedUrls.add(url));
+            root.file(baseName, text);
+        } else {
+            root.file(baseName, file);
+        }
+    }
+
+    // Injectable bundle: the uploaded CSS and JS in one script, one per variation (with the shared files)
+    const bundles = [];
+    if (bundle) {
+        const assetBaseUrl = bundle.assetBaseUrl ? bundle.assetBaseUrl.replace(/\/*$/, '/') : '';
+        // Without a base URL the assets keep their original URLs
+        const resolveBundleUrl = (url) => {
+            const asset = assetUrlMap.get(url);
+            return asset && assetBaseUrl ? new URL(getPackagedPath(asset.type, asset.filename), assetBaseUrl).href : null;
+        };
+        // bundle.js unless an uploaded file (or asset) already has that path
+        const getBundlePath = (folder) => {
+            for (let i = 1; ; i++) {
+                const bundlePath = `${folder}${i === 1 ? 'bundle.js' : i === 2 ? 'devpack-bundle.js' : `devpack-bundle-${i - 1}.js`}`;
+                if (!root.file(bundlePath)) return bundlePath;
+            }
+        };
+
+        for (const variation of variations.length > 0 ? variations : [null]) {
+            const parts = { styles: [], scripts: [] };
+            const skipped = []; // ES modules and SCSS cannot run as a classic script or <style>
+            for (const [path, file] of writtenSources) {
+                if (![null, variation].includes(getFileVariation(path, variations))) continue;
+
+                const kind = /\.css$/i.test(path) ? 'styles' : /\.js$/i.test(path) ? 'scripts' : null;
+                if (!kind) {
+                    if (/\.(mjs|scss)$/i.test(path)) skipped.push(path);
+                    continue;
+                }
+
+                const source = await file.text();
+                const references = assetBaseUrl ? await findPackagedReferences(file, source, { assets: true, inline: replaceInline }) : [];
+                const { text, unresolved } = localizeReferences(source, resolveBundleUrl, references);
+                unresolved.forEach(url => unresolvedUrls.add(url));
+                parts[kind].push({ path, text });
+            }
+
+            const bundlePath = getBundlePath(variation ? `${variation}/` : '');
+            const text = buildInjectableBundle({ name, ...parts, skipped, assetBaseUrl, minify: bundle.minify });
+            root.file(bundlePath, text);
+            bundles.push({
+                path: bundlePath,
+                variation,
+                size: new Blob([text]).size,
+                gzipSize: await getGzipSize(text),
+                sourceFiles: [...parts.styles, ...parts.scripts].map(({ path }) => path),
+                skipped
+            });
+        }
+    }
+
+    // Audit trail: which URL became which file, what failed and how the scan was configured
+    const manifest = await buildManifest({
+        name,
+        number,
+        sources: writtenSources,
+        getPackagedPath,
+        localize,
+        replaceInline,
+        layout,
+        variations,
+        assetUrlMap,
+        downloaded,
+        scan,
+        rebuiltFrom,
+        bundle,
+        bundles
+    });
+    root.file('manifest.json', JSON.stringify(manifest, null, 2));
+    root.file('REPORT.html', buildReportHtml(manifest));
+
+    return { filename: zipFilename, manifest, unresolved: [...unresolvedUrls], bundles };
+}
+
+
+/*  ==================================================
+    DEVPACK MANIFEST & REPORT LOGIC
+    ================================================== */
+/**
+ * Builds the machine-readable manifest written to manifest.json at the devpack root.
+ * Lists every packaged asset (URL -> ZIP path, type, size, hash, content type, where it was referenced),
+ * every failed asset with its reason, the uploaded source files and the scan settings.
+ * @param {Object} options
+ * @param {string} options.name Devpack name
+ * @param {string} options.number Test number ('' when not set)
+ * @param {Map} options.sources Packaged file name -> uploaded File
+ * @param {Function} options.getPackagedPath (type, filename) => path inside the devpack
+ * @param {boolean} options.localize Whether asset references were rewritten to local paths
+ * @param {boolean} options.replaceInline Whether extracted data URIs were replaced with the packaged files
+ * @param {Object} options.layout Layout the devpack was built with
+ * @param {string[]} [options.variations] Variation folder names
+ * @param {Map} options.assetUrlMap Packaged asset URL -> { type, filename, hash, mime, size, ... }
+ * @param {Map} [options.downloaded] Every downloaded asset URL -> info, packaged or not
+ * @param {Object} [options.scan] Scan settings and results: { include, maxDepth, baseUrl, occurrences, discovered, parents, failed, scannedAt, cancelled }
+ * @param {Object} [options.rebuiltFrom] Devpack this one was rebuilt from, with the diff against it
+ * @param {Object} [options.bundle] Injectable bundle settings { assetBaseUrl, minify }
+ * @param {Array} [options.bundles] Bundles written: [{ path, variation, size, gzipSize, sourceFiles, skipped }]
+ * @returns {Promise<Object>}
+ */
+async function buildManifest({ name, number, sources, getPackagedPath, localize, replaceInline, layout, variations = [], assetUrlMap, downloaded = new Map(), scan = null, rebuiltFrom = null, bundle = null, bundles = [] }) {
+    const { include = {}, maxDepth = 0, baseUrl = '', occurrences = new Map(), discovered = new Map(), failed = [], scannedAt = null, cancelled = false } = scan || {};
+
+    // Where an asset came from: file:line in the uploads, and the asset that pulled it in (dependency crawl)
+    const getOrigin = (url) => ({
+        referencedBy: (occurrences.get(url) || []).map(({ file, line, column, snippet }) => ({
+            file,
+            line,
+            column,
+            ...(snippet ? { snippet: snippet.before + snippet.match + snippet.after } : {})
+        })),
+        parent: discovered.has(url) ? discovered.get(url).parent : null
+    });
+
+    const assets = [...assetUrlMap]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([url, { type, filename, hash, mime, size, provided, proxied, optimizedFrom }]) => ({
+            url,
+            path: getPackagedPath(type, filename),
+            variation: getFileVariation(getPackagedPath(type, filename), variations),
+            type,
+            size,
+            hash,
+            contentType: mime,
+            source: isInlineAssetKey(url) ? 'inline' : provided ? 'provided' : proxied ? 'proxied' : 'downloaded',
+            optimizedFrom: optimizedFrom || null,
+            ...getOrigin(url)
+        }));
+
+    const sourceFiles = await Promise.all([...sources].map(async ([path, file]) => ({
+        path,
+        variation: getFileVariation(path, variations),
+        originalName: file.name,
+        size: file.size,
+        hash: await hashBlob(file)
+    })));
+
+    // Downloaded but deselected in the preview
+    const excluded = [...downloaded]
+        .filter(([url]) => !assetUrlMap.has(url))
+        .map(([url, { type, hash }]) => ({ url, type, hash, ...getOrigin(url) }))
+        .sort((a, b) => a.url.localeCompare(b.url));
+
+    return {
+        tool: { name: APP_NAME, version: APP_VERSION },
+        devpack: name,
+        testNumber: number || null,
+        builtAt: new Date().toISOString(),
+        scannedAt,
+        settings: {
+            include,
+            dependencyDepth: maxDepth,
+            baseUrl: baseUrl || null,
+            localizeReferences: localize,
+            replaceInlineAssets: replaceInline,
+            layout,
+            variations,
+            bundle: bundle ? { assetBaseUrl: bundle.assetBaseUrl || null, minify: Boolean(bundle.minify) } : null,
+            scanCancelled: cancelled
+        },
+        summary: {
+            sourceFiles: sourceFiles.length,
+            assets: assets.length,
+            failed: failed.length,
+            excluded: excluded.length,
+            totalBytes: assets.reduce((total, asset) => total + asset.size, 0) + sourceFiles.reduce((total, file) => total + file.size, 0)
+        },
+        sourceFiles,
+        assets,
+        failed: [...failed]
+            .sort((a, b) => a.url.localeCompare(b.url))
+            .map(({ url, type, reason, tried = [] }) => ({ url, type, reason, tried, ...getOrigin(url) })),
+        excluded,
+        bundles,
+        rebuiltFrom
+    };
+}
+
+/**
+ * Renders the manifest as a standalone, human-readable REPORT.html.
+ * @param {Object} manifest See buildManifest
+ * @returns {string}
+ */
+function buildReportHtml(manifest) {
+    const { tool, devpack, builtAt, settings, summary, sourceFiles, assets, failed, excluded, bundles = [], rebuiltFrom } = manifest;
+    const countChanges = ({ added, removed, changed }) => `${added.length} added, ${removed.length} removed, ${changed.length} changed`;
+    const formatOrigin = ({ referencedBy, parent }) => [
+        ...referencedBy.map(({ file, line, column, snippet }) => `${escapeHtml(`${file}:${line}:${column}`)}${snippet ? `<br><code>${escapeHtml(snippet)}</code>` : ''}`),
+        ...(parent ? [escapeHtml(`via ${parent}`)] : [])
+    ].join('<br>');
+    const filters = Object.entries(settings.include).map(([type, on]) => `${type.toUpperCase()}: ${on ? 'included' : 'excluded'}`).join(', ');
+    const variations = settings.variations || [];
+    const countByVariation = (variation) => `${variation || 'shared'}: ${sourceFiles.filter(file => file.variation === variation).length} source file(s), ${assets.filter(asset => asset.variation === variation).length} asset(s)`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(devpack)} — Devpack Report</title>
+<style>
+  body { font-family: system-ui, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2937; margin: 32px; }
+  h1 { color: #F44336; font-size: 24px; }
+  h2 { font-size: 18px; margin-top: 32px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border: 1px solid #dddddd; padding: 6px 8px; text-align: left; vertical-align: top; word-break: break-all; }
+  th { background: #f3f4f6; }
+  .failed td { background: #fff5f5; }
+  td code { display: inline-block; margin: 2px 0 4px; padding: 1px 4px; background: #f3f4f6; border-radius: 3px; font-size: 12px; color: #4b5563; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; font-size: 14px; }
+  dt { font-weight: 600; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(devpack)}</h1>
+<dl>
+  <dt>Built</dt><dd>${escapeHtml(builtAt)} with ${escapeHtml(tool.name)} v${escapeHtml(tool.version)}</dd>
+  <dt>Filters</dt><dd>${escapeHtml(filters)}</dd>
+  <dt>Dependency depth</dt><dd>${settings.dependencyDepth}</dd>
+  <dt>Site base URL</dt><dd>${escapeHtml(settings.baseUrl || '—')}</dd>
+  <dt>References rewritten</dt><dd>${settings.localizeReferences ? 'Yes' : 'No'}</dd>
+  ${bundles.length ? `<dt>Injectable bundle</dt><dd>${bundles.map(({ path, size, gzipSize, sourceFiles: files, skipped = [] }) => `${escapeHtml(path)}: ${formatBytes(size)} (${formatBytes(gzipSize)} gzipped) from ${files.length} file(s)${skipped.length ? `, skipped ${escapeHtml(skipped.join(', '))}` : ''}`).join('<br>')}<br><small>Assets from ${escapeHtml(settings.bundle.assetBaseUrl || 'their original URLs')}${settings.bundle.minify ? ', minified' : ''}</small></dd>` : ''}
+  ${variations.length ? `<dt>Variations</dt><dd>${[...variations, null].map(countByVariation).map(escapeHtml).join('<br>')}</dd>` : ''}
+  ${rebuiltFrom ? `<dt>Rebuilt from</dt><dd>${escapeHtml(rebuiltFrom.file)} (built ${escapeHtml(rebuiltFrom.builtAt)}): files ${countChanges(rebuiltFrom.files)}; assets ${countChanges(rebuiltFrom.assets)}</dd>` : ''}
+  <dt>Totals</dt><dd>${summary.sourceFiles} source file(s), ${summary.assets} asset(s), ${summary.failed} failed, ${summary.excluded} excluded, ${formatBytes(summary.totalBytes)}</dd>
+</dl>
+${settings.scanCancelled ? '<p><strong>⚠️ The scan was cancelled before all assets were downloaded.</strong></p>' : ''}
+
+<h2>Failed assets (${failed.length})</h2>
+${failed.length ? `<table>
+  <tr><th>URL</th><th>Type</th><th>Reason</th><th>Referenced by</th></tr>
+  ${failed.map(item => `<tr class="failed"><td>${escapeHtml(item.url)}</td><td>${escapeHtml(item.type)}</td><td>${escapeHtml(item.reason)}${item.tried.length ? `<br><small>Tried: ${escapeHtml(item.tried.join(', '))}</small>` : ''}</td><td>${formatOrigin(item)}</td></tr>`).join('\n  ')}
+</table>` : '<p>None 🎉</p>'}
+
+<h2>Assets (${assets.length})</h2>
+<table>
+  <tr><th>Original URL</th><th>Path</th><th>Type</th><th>Size</th><th>Content type</th><th>Referenced by</th></tr>
+  ${assets.map(asset => `<tr><td>${escapeHtml(asset.url)}${asset.source === 'provided' ? ' <em>(provided locally)</em>' : asset.source === 'proxied' ? ' <em>(through the CORS proxy)</em>' : asset.source === 'inline' ? ' <em>(extracted from an inline data URI or SVG)</em>' : ''}</td><td>${escapeHtml(asset.path)}</td><td>${escapeHtml(asset.type)}</td><td>${formatBytes(asset.size)}${asset.optimizedFrom ? ` (optimized from ${formatBytes(asset.optimizedFrom.size)})` : ''}</td><td>${escapeHtml(asset.contentType || '—')}</td><td>${formatOrigin(asset)}</td></tr>`).join('\n  ')}
+</table>
+
+${excluded.length ? `<h2>Excluded by choice (${excluded.length})</h2>
+<table>
+  <tr><th>URL</th><th>Type</th><th>Referenced by</th></tr>
+  ${excluded.map(item => `<tr><td>${escapeHtml(item.url)}</td><td>${escapeHtml(item.type)}</td><td>${formatOrigin(item)}</td></tr>`).join('\n  ')}
+</table>` : ''}
+
+<h2>Source files (${sourceFiles.length})</h2>
+<table>
+  <tr><th>Path</th><th>Uploaded as</th><th>Size</th><th>SHA-256</th></tr>
+  ${sourceFiles.map(file => `<tr><td>${escapeHtml(file.path)}</td><td>${escapeHtml(file.originalName)}</td><td>${formatBytes(file.size)}</td><td>${file.hash}</td></tr>`).join('\n  ')}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Escapes text for safe use inside HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Formats a byte count for display. e.g. 1536 -> '1.5 KB'
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    const units = ['KB', 'MB', 'GB'];
+    let value = bytes / 1024;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+
+/*  ==================================================
+    ASSET AUDIT & SIZE BUDGETS LOGIC
+    ================================================== */
+// Default size budgets in KB, per asset type and for the whole devpack (assets + source files)
+const AUDIT_BUDGETS = {
+    images: 500,
+    gifs: 2048,
+    videos: 10240,
+    fonts: 100,
+    css: 200,
+    js: 300,
+    total: 10240
+};
+
+const AUDIT_OVERSIZE_FACTOR = 2; // Images wider than this many times their widest use are flagged
+const AUDIT_MAX_IMAGE_WIDTH = 2560; // ...or wider than this when no use gives a width
+
+/**
+ * Checks the packaged assets before download, the way a devpack is reviewed by hand:
+ * - errors: files over their type budget, a total over budget, http:// (mixed content) URLs the
+ *   devpack still loads remotely (not packaged, or packaged without rewriting the references)
+ * - warnings: the same content under several URLs, TTF/OTF fonts (next to a WOFF2 of the same
+ *   font, or with no WOFF2 at all) and images far wider than they are shown
+ * @param {Object} options
+ * @param {Object} options.zipContent Asset type -> Map of file name -> Blob, as packaged
+ * @param {Map} options.assetUrlMap Asset URL -> { type, filename, hash, mime, ... } of its packaged file
+ * @param {Iterable<string>} [options.urls] Every extracted asset URL, packaged or not
+ * @param {Map} [options.occurrences] Asset URL -> [{ file, line, displayWidth }], see extractAssetsFromFiles
+ * @param {File[]} [options.sourceFiles] Uploaded source files, counted in the total
+ * @param {Object} [options.budgets] KB per type and `total`, see AUDIT_BUDGETS
+ * @param {boolean} [options.localize] Whether references to packaged assets are rewritten to local paths
+ * @returns {Promise<Array<{level: string, rule: string, message: string, urls: string[]}>>} Errors first
+ */
+async function auditAssets({ zipContent, assetUrlMap, urls = [], occurrences = new Map(), sourceFiles = [], budgets = AUDIT_BUDGETS, localize = true }) {
+    const issues = [];
+    const add = (level, rule, message, issueUrls = []) => issues.push({ level, rule, message, urls: issueUrls });
+
+    // Packaged files with every URL stored in them
+    const packaged = new Map(); // type/filename -> { type, filename, mime, blob, urls }
+    assetUrlMap.forEach(({ type, filename, mime }, url) => {
+        const key = `${type}/${filename}`;
+        const blob = zipContent[type] && zipContent[type].get(filename);
+        if (!blob) return;
+        if (!packaged.has(key)) packaged.set(key, { type, filename, mime, blob, urls: [] });
+        packaged.get(key).urls.push(url);
+    });
+
+    // Size budgets
+    packaged.forEach(({ type, filename, blob, urls: fileUrls }) => {
+        const budget = budgets[type];
+        if (budget && blob.size > budget * 1024) {
+            add('error', 'oversized', `${filename} is ${formatBytes(blob.size)}, over the ${type} budget of ${formatBytes(budget * 1024)}`, fileUrls);
+        }
+    });
+    const totalBytes = [...packaged.values()].reduce((total, { blob }) => total + blob.size, 0)
+        + sourceFiles.reduce((total, file) => total + file.size, 0);
+    if (budgets.total && totalBytes > budgets.total * 1024) {
+        add('error', 'total', `The devpack is ${formatBytes(totalBytes)}, over the total budget of ${formatBytes(budgets.total * 1024)}`);
+    }
+
+    // Mixed content: blocked or warned about on https pages. Packaged assets are loaded from the
+    // devpack once their references are rewritten, so only URLs left remote count.
+    const allUrls = [...new Set([...urls, ...assetUrlMap.keys()])];
+    allUrls.filter(url => /^http:\/\//i.test(url) && (!localize || !assetUrlMap.has(url))).forEach(url => {
+        add('error', 'mixed-content', `${url} is still loaded over http:// from the devpack`, [url]);
+    });
+
+    // One file stored for several URLs
+    Object.values(groupBy([...assetUrlMap].map(([url, info]) => ({ url, ...info })), 'hash')).forEach(group => {
+        if (group.length < 2) return;
+        add('warning', 'duplicate', `${group.length} URLs have the same content (packaged once as ${group[0].filename})`, group.map(({ url }) => url));
+    });
+
+    // Uncompressed fonts, and whether a WOFF2 of the same font is there
+    const woff2Names = new Set(allUrls.filter(url => /\.woff2$/i.test(getFileName(url))).map(url => getFileName(url).replace(/\.woff2$/i, '').toLowerCase()));
+    packaged.forEach(({ type, filename, mime, urls: fileUrls }) => {
+        if (type !== 'fonts' || !(/^font\/(ttf|otf)$|x-font-ttf/.test(mime || '') || /\.(ttf|otf)$/i.test(filename))) return;
+
+        const baseNames = fileUrls.map(url => getFileName(url).replace(/\.[a-z0-9]+$/i, '').toLowerCase());
+        if (baseNames.some(name => woff2Names.has(name))) {
+            add('warning', 'uncompressed-font', `${filename} is uncompressed while a WOFF2 of the same font is available; the TTF/OTF can likely go`, fileUrls);
+        } else {
+            add('warning', 'missing-format', `${filename} has no WOFF2 version; converting it usually saves 30-50%`, fileUrls);
+        }
+    });
+
+    // Image dimensions against the widest use (<img width>), or a sane maximum
+    for (const { type, filename, blob, urls: fileUrls } of packaged.values()) {
+        if (type !== 'images') continue;
+
+        const dimensions = await getImageDimensions(blob);
+        if (!dimensions) continue;
+
+        const widths = fileUrls.flatMap(url => (occurrences.get(url) || []).map(({ displayWidth }) => displayWidth));
+        const shownAt = widths.length > 0 && widths.every(Boolean) ? Math.max(...widths) : null;
+        if (shownAt && dimensions.width > shownAt * AUDIT_OVERSIZE_FACTOR) {
+            add('warning', 'dimensions', `${filename} is ${dimensions.width}×${dimensions.height}px but shown at most ${shownAt}px wide`, fileUrls);
+        } else if (!shownAt && dimensions.width > AUDIT_MAX_IMAGE_WIDTH) {
+            add('warning', 'dimensions', `${filename} is ${dimensions.width}×${dimensions.height}px, wider than ${AUDIT_MAX_IMAGE_WIDTH}px`, fileUrls);
+        }
+    }
+
+    return issues.sort((a, b) => (a.level === b.level ? 0 : a.level === 'error' ? -1 : 1));
+}
+
+
+/*  ==================================================
+    INJECTABLE BUNDLE LOGIC
+    ================================================== */
+/**
+ * Builds a single script for experiment platforms: injects the CSS in a <style> element, then runs
+ * the JS files in order. Asset references are expected to be resolved already (see packageDevpack).
+ * @param {Object} options
+ * @param {string} options.name Devpack name, set as data-devpack on the <style> element
+ * @param {Array<{path: string, text: string}>} options.styles CSS files, in order
+ * @param {Array<{path: string, text: string}>} options.scripts JS files, in order
+ * @param {string[]} [options.skipped] Source files left out (ES modules, SCSS), noted in the header
+ * @param {string} [options.assetBaseUrl] Where the assets are served from, noted in the header
+ * @param {boolean} [options.minify] Strip comments and whitespace (see minifyCss and minifyJs)
+ * @returns {string}
+ */
+function buildInjectableBundle({ name, styles, scripts, skipped = [], assetBaseUrl = '', minify = false }) {
+    const comment = (text) => text.replace(/\*\//g, '*\\/');
+    const header = `/*! ${comment(name)} — injectable bundle, ${APP_NAME} v${APP_VERSION}
+ * Assets: ${comment(assetBaseUrl || 'original URLs')}
+ * Sources: ${comment([...styles, ...scripts].map(({ path }) => path).join(', ') || 'none')}${skipped.length > 0 ? `
+ * Skipped: ${comment(skipped.join(', '))}` : ''}
+ */`;
+
+    const css = styles.map(({ path, text }) => (minify ? minifyCss(text) : `/* ${comment(path)} */\n${text.trim()}`)).join('\n');
+    // Escaped so the bundle can also be pasted inside a <script> tag
+    const cssString = JSON.stringify(css).replace(/</g, '\\u003c');
+    const injectCss = minify
+        ? `(function(){var s=document.createElement("style");s.setAttribute("data-devpack",${JSON.stringify(name)});s.textContent=${cssString};(document.head||document.documentElement).appendChild(s)})();`
+        : `(function () {
+    var style = document.createElement('style');
+    style.setAttribute('data-devpack', ${JSON.stringify(name)});
+    style.textContent = ${cssString};
+    (document.head || document.documentElement).appendChild(style);
+})();`;
+
+    const js = scripts.map(({ path, text }) => (minify ? minifyJs(text) : `/* ${comment(path)} */\n${text.trim()}`));
+
+    return `${header}\n${[...(styles.length > 0 ? [injectCss] : []), ...js].join('\n;\n')}\n`;
+}
+
+/**
+ * Minifies CSS conservatively: drops comments (except /*! ones) and collapses whitespace,
+ * leaving strings, selectors with descendant combinators and calc() spacing intact.
+ * @param {string} css
+ * @returns {string}
+ */
+function minifyCss(css) {
+    let output = '';
+    let i = 0;
+
+    while (i < css.length) {
+        const char = css[i];
+
+        if (char === '/' && css[i + 1] === '*') {
+            const end = css.indexOf('*/', i + 2);
+            const close = end === -1 ? css.length : end + 2;
+            if (css[i + 2] === '!') output += css.slice(i, close);
+            i = close;
+            continue;
+        }
+        if (char === '"' || char === "'") {
+            const end = findStringEnd(css, i);
+            output += css.slice(i, end + 1);
+            i = end + 1;
+            continue;
+        }
+        if (/\s/.test(char)) {
+            while (i < css.length && /\s/.test(css[i])) i++;
+            // A space only matters between two tokens that are not punctuation
+            if (output && i < css.length && !/[{};,>~:]$/.test(output) && !/^[{};,>~!]/.test(css[i])) output += ' ';
+            continue;
+        }
+        if (char === '}' && output.endsWith(';')) output = output.slice(0, -1);
+
+        output += char;
+        i++;
+    }
+
+    return output.trim();
+}
+
+/**
+ * Minifies JS conservatively: drops comments (except /*! ones), indentation, blank lines and
+ * spaces next to punctuation. Line breaks are kept (automatic semicolon insertion may rely on
+ * them) and strings, template literals and regular expressions are copied as written.
+ * @param {string} js
+ * @returns {string}
+ */
+function minifyJs(js) {
+    let output = '';
+    let i = 0;
+    let lastToken = '';
+
+    while (i < js.length) {
+        const char = js[i];
+
+        if (char === '/' && js[i + 1] === '/') {
+            const end = js.indexOf('\n', i);
+            i = end === -1 ? js.length : end;
+            continue;
+        }
+        if (char === '/' && js[i + 1] === '*') {
+            const end = js.indexOf('*/', i + 2);
+            const close = end === -1 ? js.length : end + 2;
+            if (js[i + 2] === '!') output += js.slice(i, close);
+            // A comment spanning lines still separates them
+            else if (js.slice(i, close).includes('\n')) output += '\n';
+            i = close;
+            continue;
+        }
+        if (/\s/.test(char)) {
+            let newline = false;
+            for (; i < js.length && /\s/.test(js[i]); i++) {
+                if (js[i] === '\n') newline = true;
+            }
+
+            const before = output.slice(-1);
+            const after = js[i] || '';
+            if (!before || !after) continue;
+            if (newline) {
+                if (!/[{(\[,;\n]/.test(before)) output += '\n';
+            } else if ((/[\w$\\]/.test(before) || before > '\x7f') && (/[\w$\\]/.test(after) || after > '\x7f')) {
+                output += ' ';
+            } else if ((before === '+' || before === '-') && before === after) {
+                output += ' '; // a + +b
+            } else if (/\d/.test(before) && after === '.') {
+                output += ' '; // 1 .toString()
+            } else if (before === '/' && (after === '/' || after === '*')) {
+                output += ' '; // a / /b/.source
+            }
+            continue;
+        }
+        if (char === '"' || char === "'") {
+            const end = findStringEnd(js, i);
+            output += js.slice(i, end + 1);
+            lastToken = '"';
+            i = end + 1;
+            continue;
+        }
+        if (char === '`') {
+            const end = skipTemplateLiteral(js, i);
+            output += js.slice(i, end);
+            lastToken = '`';
+            i = end;
+            continue;
+        }
+        if (char === '/' && (lastToken === '' || /^[(,=:[!&|?{};+\-*%<>~^]$/.test(lastToken) || JS_REGEX_KEYWORDS.includes(lastToken))) {
+            const end = skipRegexLiteral(js, i);
+            output += js.slice(i, end);
+            lastToken = '/';
+            i = end;
+            continue;
+        }
+        if (/[\w$]/.test(char)) {
+            const wordPattern = /[\w$]+/y;
+            wordPattern.lastIndex = i;
+            const word = wordPattern.exec(js)[0];
+            output += word;
+            lastToken = word;
+            i += word.length;
+            continue;
+        }
+
+        output += char;
+        lastToken = char;
+        i++;
+    }
+
+    return output.trim();
+}
+
+/**
+ * Finds the end of a template literal, including nested ${...} expressions.
+ * @param {string} js
+ * @param {number} start Index of the opening backtick
+ * @returns {number} Index just after the closing backtick
+ */
+function skipTemplateLiteral(js, start) {
+    let i = start + 1;
+
+    while (i < js.length && js[i] !== '`') {
+        if (js[i] === '\\') {
+            i += 2;
+        } else if (js[i] === '$' && js[i + 1] === '{') {
+            // Skip the expression, which may hold strings, templates and braces of its own
+            let depth = 0;
+            i += 2;
+            while (i < js.length && !(js[i] === '}' && depth === 0)) {
+                if (js[i] === '"' || js[i] === "'") i = findStringEnd(js, i);
+                else if (js[i] === '`') i = skipTemplateLiteral(js, i) - 1;
+                else if (js[i] === '{') depth++;
+                else if (js[i] === '}') depth--;
+                i++;
+            }
+            i++;
+        } else {
+            i++;
+        }
+    }
+
+    return i + 1;
+}
+
+/**
+ * Size of a text once gzipped, as served by most CDNs.
+ * @param {string} text
+ * @returns {Promise<number>}
+ */
+async function getGzipSize(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+    return (await new Response(stream).arrayBuffer()).byteLength;
+}
+
+
+/*  ==================================================
+    LOCALIZE ASSET REFERENCES LOGIC
+    ================================================== */
+/**
+ * Rewrites every asset URL in a text to the local path returned by `resolvePath`.
+ * URLs that cannot be resolved (failed or skipped assets), or that are assembled at runtime
+ * and have no single position in the text, are left untouched.
+ * @param {string} text
+ * @param {Function} resolvePath (url) => local path or null
+ * @param {Array} [references] Pre-computed references, defaults to the absolute URLs in the text
+ * @returns {{text: string, unresolved: string[]}}
+ */
+function localizeReferences(text, resolvePath, references = findAssetReferences(text)) {
+    const unresolved = new Set();
+    let output = '';
+    let lastIndex = 0;
+
+    [...references].sort((a, b) => (a.index ?? -1) - (b.index ?? -1)).forEach(({ raw, url, index }) => {
+        // Skip references that overlap one already rewritten
+        if (index !== null && index < lastIndex) return;
+
+        const localPath = index === null ? null : resolvePath(url);
+        if (!localPath) {
+            unresolved.add(url);
+            return;
+        }
+        output += text.slice(lastIndex, index) + localPath;
+        lastIndex = index + raw.length;
+    });
+
+    return {
+        text: output + text.slice(lastIndex),
+        unresolved: [...unresolved]
+    };
+}
+
+
+/*  ==================================================
+    NODE EXPORTS (CLI)
+    ================================================== */
+// In the browser everything above is global; Node gets the same functions through require()
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        APP_NAME,
+        APP_VERSION,
+        ASSET_FOLDERS,
+        LAYOUT_PRESETS,
+        MIME_TYPES,
+        AUDIT_BUDGETS,
+        extractAssetsFromFiles,
+        findAssetReferences,
+        findFileReferences,
+        findInlineAssets,
+        getAssetType,
+        getReferenceType,
+        isFontCssUrl,
+        validateAndFetchAssets,
+        identifyAsset,
+        assignUniqueNames,
+        assignPackagedNames,
+        getDevpackNames,
+        packageDevpack,
+        buildManifest,
+        buildReportHtml,
+        auditAssets,
+        buildInjectableBundle,
+        minifyCss,
+        minifyJs,
+        localizeReferences,
+        sanitizeFileName,
+        sanitizeFilePath,
+        formatBytes
+    };
+}
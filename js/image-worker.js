@@ -0,0 +1,46 @@
+/**
+ * SPZ Devpack Builder — image optimization worker
+ * ------------------------------------------
+ * Resizes and re-encodes downloaded images off the main thread with OffscreenCanvas,
+ * so large hero images do not freeze the page while they are optimized.
+ * Receives { id, blob, maxDimension, mime, quality } and answers { id, blob } or { id, error }.
+ *
+ * @author   Abir Maiti
+ * @company  Spiralyze
+ * @version  1.0.0
+ */
+
+self.addEventListener('message', async (e) => {
+    const { id, blob, maxDimension, mime, quality } = e.data;
+
+    try {
+        const bitmap = await createImageBitmap(blob);
+
+        // Only ever scale down
+        const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+        const width = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+
+        const canvas = new OffscreenCanvas(width, height);
+        const context = canvas.getContext('2d');
+
+        // JPEG has no alpha channel: flatten transparency onto white instead of black
+        if (mime === 'image/jpeg') {
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, width, height);
+        }
+        context.drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+
+        const result = await canvas.convertToBlob({ type: mime, quality });
+
+        // Browsers silently fall back to PNG for formats they cannot encode
+        if (result.type !== mime) {
+            throw new Error(`This browser cannot encode ${mime}`);
+        }
+
+        self.postMessage({ id, blob: result });
+    } catch (err) {
+        self.postMessage({ id, error: err.message });
+    }
+});